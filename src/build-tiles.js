@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const clc = require('cli-color');
+const { getTile } = require('./index');
+const { TILE_MAX_ZOOM } = require('./tiles');
+
+// Usage: npm run build:tiles -- [maxZoom] [directory]
+const maxZoom = process.argv[2] !== undefined ? Number(process.argv[2]) : 6;
+const tilesPath = path.resolve(process.argv[3] || path.join(__dirname, './../data/tiles'));
+
+if(!Number.isInteger(maxZoom) || maxZoom < 0 || maxZoom > TILE_MAX_ZOOM) {
+    process.stderr.write(clc.redBright(`Wrong max zoom: ${process.argv[2]} (0 to ${TILE_MAX_ZOOM})\n`));
+    process.exit(1);
+}
+
+/**
+ * Write a tile as z/x/y.pbf and its four children down to the max zoom,
+ * the children of an empty tile are empty too so they're skipped
+ * @return number of tiles written
+ */
+const writeTile = (z, x, y) => {
+    const tile = getTile(z, x, y);
+    if(!tile) return 0;
+    const dir = path.join(tilesPath, `${z}/${x}`);
+    if(!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${y}.pbf`), tile);
+    if(z === maxZoom) return 1;
+    let count = 1;
+    for(let i = 0; i < 4; i++) {
+        count += writeTile(z + 1, x * 2 + (i % 2), y * 2 + Math.floor(i / 2));
+    }
+    return count;
+};
+
+const hrstart = process.hrtime();
+const count = writeTile(0, 0, 0);
+const hrend = process.hrtime(hrstart);
+process.stdout.write(clc.greenBright(`${count} tiles (zoom 0 to ${maxZoom}) written to ${tilesPath}\n`));
+process.stdout.write(clc.magentaBright(`Total time: ${hrend[0]}s ${hrend[1] / 1000000}ms\n`));
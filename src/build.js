@@ -3,7 +3,13 @@ const path = require('path');
 const turf = require('@turf/turf');
 const clone = require('just-clone');
 const clc = require('cli-color');
+const polylabel = require('polylabel');
+const topojsonServer = require('topojson-server');
+const topojsonClient = require('topojson-client');
 const { sortObjectArray, sortObject, roundCoordinates, getRegionCode, getRegionName, getStateAlpha2 } = require('./utils');
+const { getGeometryCentroid, isAntimeridianSegment } = require('./geometry');
+const { getPolygons } = require('./feature-index');
+const { SIMPLIFIED_TOLERANCE, RESOLUTIONS, simplifyTopology, cleanGeometry } = require('./simplify');
 const i18nCountries = require('i18n-iso-countries');
 const i18nRegions = require('iso3166-2-db/data/iso3166-2.json');
 const i18nLocales = [
@@ -508,16 +514,317 @@ const generateRegionGeoJSONByCode = (region) => {
     fs.writeFileSync(path.join(dataPath, filePath), JSON.stringify(result));
 };
 
+/**
+ * Get the bbox of a geometry, when its polygons are on both sides of the antimeridian
+ * (e.g. Fiji) and the shortest way around the globe is across it, minX is greater than maxX
+ */
+const getPlaceBBox = (geometry) => {
+    const bbox = turf.bbox(geometry);
+    const spans = getPolygons(geometry).map(polygon => turf.bbox(turf.polygon(polygon))).map(box => [box[0], box[2]]);
+    spans.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    spans.forEach(span => {
+        const last = merged[merged.length - 1];
+        if(last && span[0] <= last[1]) {
+            last[1] = Math.max(last[1], span[1]);
+        } else {
+            merged.push(span.slice());
+        }
+    });
+    // The widest gap between the polygons is the one the bbox doesn't cover
+    let gap = merged.length > 0 ? merged[0][0] + 360 - merged[merged.length - 1][1] : 0;
+    let result = bbox;
+    for(let i = 1; i < merged.length; i++) {
+        if(merged[i][0] - merged[i - 1][1] > gap) {
+            gap = merged[i][0] - merged[i - 1][1];
+            result = [merged[i][0], bbox[1], merged[i - 1][1], bbox[3]];
+        }
+    }
+    return result;
+};
+
+/**
+ * Get the length of the segments of the rings of a geometry accepted by the filter,
+ * the segments on the antimeridian (where the polygons are split) are not a boundary
+ * @param filter function (a, b) => boolean
+ * @return number in kilometers
+ */
+const getBoundaryLength = (geometry, filter = () => true) => {
+    let length = 0;
+    getPolygons(geometry).forEach(polygon => polygon.forEach(ring => {
+        for(let i = 1; i < ring.length; i++) {
+            if(isAntimeridianSegment(ring[i - 1], ring[i]) || !filter(ring[i - 1], ring[i])) continue;
+            length += turf.distance(ring[i - 1], ring[i]);
+        }
+    }));
+    return length;
+};
+
+const getSegmentKey = (a, b) => {
+    const ka = a[0] + ',' + a[1];
+    const kb = b[0] + ',' + b[1];
+    return ka < kb ? ka + ';' + kb : kb + ';' + ka;
+};
+
+/**
+ * Get the topology of the admin1 features from the segments of their boundaries: the
+ * coastline of every feature (the segments not shared with any other feature) and the
+ * length of the border shared by every pair of adjacent features
+ * @return object { coastlines, borders } coastlines: array of lengths in kilometers in the order
+ * of the features, borders: Map 'i:j' (positions of the features, i < j) => length in kilometers
+ */
+const getTopology = (features) => {
+    const owners = new Map();
+    const borders = new Map();
+    features.forEach((feature, i) => getPolygons(feature.geometry).forEach(polygon => polygon.forEach(ring => {
+        for(let j = 1; j < ring.length; j++) {
+            const key = getSegmentKey(ring[j - 1], ring[j]);
+            const owner = owners.get(key);
+            if(owner === undefined) {
+                owners.set(key, i);
+            } else if(owner !== i && owner !== -1) {
+                owners.set(key, -1); // Shared
+                if(isAntimeridianSegment(ring[j - 1], ring[j])) continue;
+                const pair = owner + ':' + i;
+                borders.set(pair, (borders.get(pair) || 0) + turf.distance(ring[j - 1], ring[j]));
+            }
+        }
+    })));
+    const coastlines = features.map(feature => getBoundaryLength(feature.geometry, (a, b) => owners.get(getSegmentKey(a, b)) !== -1));
+    return { coastlines, borders };
+};
+
+const roundKm = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Get the bbox, the area-weighted centroid and the label point (pole of inaccessibility of its
+ * largest polygon, always inside it) of a geometry, its area and its perimeter. The geometries
+ * across the antimeridian are shifted 360 degrees to compute the centroid and the label point
+ */
+const getPlaceMetrics = (geometry) => {
+    const bbox = getPlaceBBox(geometry);
+    const shifted = clone(geometry);
+    if(bbox[0] > bbox[2]) {
+        turf.coordEach(shifted, coord => {
+            if(coord[0] <= bbox[2]) coord[0] += 360;
+        });
+    }
+    const wrap = (position) => [position[0] > 180 ? position[0] - 360 : position[0], position[1]];
+    let largest = null;
+    let largestArea = -1;
+    getPolygons(shifted).forEach(polygon => {
+        const area = turf.area(turf.polygon(polygon));
+        if(area > largestArea) {
+            largest = polygon;
+            largestArea = area;
+        }
+    });
+    const round = (values) => values.map(value => Math.round(value * 100000) / 100000); // 5 decimals
+    return {
+        bbox: round(bbox),
+        centroid: round(wrap(getGeometryCentroid(shifted))),
+        label_point: round(wrap(polylabel(largest, 0.001))),
+        area_km2: roundKm(turf.area(geometry) / 1000000),
+        perimeter_km: roundKm(getBoundaryLength(geometry))
+    };
+};
+
+/**
+ * Precompute the bbox, centroid, label point, area, perimeter and coastline length of every
+ * continent, country grouping, country, region and state, from the geometry files generated
+ * before and admin1. The coastline of a place is the sum of the coastlines of its admin1 features
+ */
+const generateMetrics = () => {
+    const hrstart = process.hrtime();
+    const filePath = '/metrics/metrics.json';
+    const readGeometry = (geometryPath) => {
+        const fullPath = path.join(dataPath, geometryPath);
+        if(!fs.existsSync(fullPath)) return null;
+        return JSON.parse(fs.readFileSync(fullPath)).geometry;
+    };
+    const metrics = {
+        continent: {},
+        country_grouping: {},
+        country: {},
+        region: {},
+        state: {}
+    };
+    const { coastlines } = getTopology(admin1.features);
+    const addMetrics = (level, code, geometry, filter) => {
+        if(!geometry || getPolygons(geometry).length === 0) {
+            process.stdout.write(clc.redBright(`Unable to generate ${level} metrics, ${code} geometry not found.\n`));
+            return;
+        }
+        metrics[level][code] = getPlaceMetrics(geometry);
+        metrics[level][code].coastline_km = roundKm(admin1.features.reduce((sum, feature, i) => filter(feature.properties) ? sum + coastlines[i] : sum, 0));
+    };
+    continents.forEach(continent => addMetrics('continent', continent.continent_code, readGeometry(`/continents/${continent.continent_code}.json`),
+        props => props.cont_code === continent.continent_code));
+    countryGroupings.forEach(countryGrouping => addMetrics('country_grouping', countryGrouping.grouping_code, readGeometry(`/country-groupings/${countryGrouping.grouping_code}.json`),
+        props => (countryGrouping.countries || []).includes(props.iso_a2)));
+    countries.forEach(country => addMetrics('country', country.country_a2, readGeometry(`/countries/${country.country_a2}.json`),
+        props => props.iso_a2 === country.country_a2));
+    regions.forEach(region => addMetrics('region', region.region_code, readGeometry(`/regions/${region.region_code}.json`),
+        props => props.iso_a2 === region.country_a2 && props.region_code === region.region_code));
+    admin1.features.forEach(feature => {
+        const stateCode = feature.properties.iso_3166_2;
+        if(!stateCode || stateCode.endsWith('~')) return;
+        addMetrics('state', stateCode, feature.geometry, props => props.iso_3166_2 === stateCode);
+    });
+    if(!fs.existsSync(path.join(dataPath, '/metrics'))) fs.mkdirSync(path.join(dataPath, '/metrics'));
+    fs.writeFileSync(path.join(dataPath, filePath), JSON.stringify(metrics));
+    const hrend = process.hrtime(hrstart);
+    process.stdout.write(clc.greenBright(`Generated ./data${filePath}: ${hrend[0]}s ${hrend[1] / 1000000}ms\n`));
+};
+
+/**
+ * Generate the adjacency graph of the countries, regions and states from the borders shared
+ * by the admin1 features, with the length of the border shared by every pair
+ */
+const generateNeighbours = () => {
+    const hrstart = process.hrtime();
+    const filePath = '/neighbours/neighbours.json';
+    const { borders } = getTopology(admin1.features);
+    const neighbours = {
+        country: {},
+        region: {},
+        state: {}
+    };
+    const getCodes = {
+        country: props => props.iso_a2,
+        region: props => props.region_code,
+        state: props => props.iso_3166_2 && !props.iso_3166_2.endsWith('~') ? props.iso_3166_2 : null
+    };
+    borders.forEach((length, pair) => {
+        const [a, b] = pair.split(':').map(i => admin1.features[i].properties);
+        Object.keys(neighbours).forEach(level => {
+            const codeA = getCodes[level](a);
+            const codeB = getCodes[level](b);
+            if(!codeA || !codeB || codeA === codeB) return;
+            if(!neighbours[level][codeA]) neighbours[level][codeA] = {};
+            if(!neighbours[level][codeB]) neighbours[level][codeB] = {};
+            neighbours[level][codeA][codeB] = (neighbours[level][codeA][codeB] || 0) + length;
+            neighbours[level][codeB][codeA] = neighbours[level][codeA][codeB];
+        });
+    });
+    Object.values(neighbours).forEach(items => Object.values(items).forEach(item => {
+        Object.keys(item).forEach(code => item[code] = roundKm(item[code]));
+    }));
+    if(!fs.existsSync(path.join(dataPath, '/neighbours'))) fs.mkdirSync(path.join(dataPath, '/neighbours'));
+    fs.writeFileSync(path.join(dataPath, filePath), JSON.stringify(neighbours));
+    const hrend = process.hrtime(hrstart);
+    process.stdout.write(clc.greenBright(`Generated ./data${filePath}: ${hrend[0]}s ${hrend[1] / 1000000}ms\n`));
+};
+
+// Positions per axis of the topology, about 4 meters on the equator
+const TOPOLOGY_QUANTIZATION = 1e7;
+
+/**
+ * Get a topology with the states of admin1, the continents, country groupings, countries and
+ * regions are built merging the arcs of their states, so every border is stored once and it's
+ * the same in every level. The objects are GeometryCollections (continents, country_groupings,
+ * countries, regions and states, in the order of admin1) with the properties of the GeoJSON
+ * files of each level
+ * @param quantization number of positions per axis, the coordinates are kept without it
+ */
+const getPlacesTopology = (quantization) => {
+    const topology = topojsonServer.topology({
+        states: turf.featureCollection(admin1.features.map(feature => turf.feature(feature.geometry)))
+    }, quantization);
+    const states = topology.objects.states.geometries;
+    const merge = (filter, properties) => {
+        const geometries = states.filter((geometry, i) => filter(admin1.features[i].properties));
+        if(geometries.length === 0) {
+            process.stdout.write(clc.redBright(`Unable to merge ${JSON.stringify(properties)}, no states found.\n`));
+            return null;
+        }
+        return Object.assign(topojsonClient.mergeArcs(topology, geometries), { properties });
+    };
+    const objects = {
+        continents: continents.map(continent => merge(props => props.cont_code === continent.continent_code,
+            { continent_code: continent.continent_code })),
+        country_groupings: countryGroupings.filter(countryGrouping => countryGrouping.countries).map(countryGrouping => merge(props => countryGrouping.countries.includes(props.iso_a2),
+            { grouping_code: countryGrouping.grouping_code })),
+        countries: countries.map(country => merge(props => props.iso_a2 === country.country_a2,
+            { country_a2: country.country_a2, country_a3: country.country_a3 })),
+        regions: regions.map(region => merge(props => props.iso_a2 === region.country_a2 && props.region_code === region.region_code,
+            { country_a2: region.country_a2, region_code: region.region_code }))
+    };
+    states.forEach((geometry, i) => {
+        const props = admin1.features[i].properties;
+        geometry.properties = { country_a2: props.iso_a2, region_code: props.region_code, state_code: props.iso_3166_2 };
+    });
+    Object.keys(objects).forEach(name => {
+        topology.objects[name] = { type: 'GeometryCollection', geometries: objects[name].filter(Boolean) };
+    });
+    return topology;
+};
+
+/**
+ * Generate a single quantized topology with every level (see getPlacesTopology)
+ */
+const generateTopology = () => {
+    const hrstart = process.hrtime();
+    const filePath = '/topology/topology.json';
+    const topology = getPlacesTopology(TOPOLOGY_QUANTIZATION);
+    if(!fs.existsSync(path.join(dataPath, '/topology'))) fs.mkdirSync(path.join(dataPath, '/topology'));
+    fs.writeFileSync(path.join(dataPath, filePath), JSON.stringify(topology));
+    const hrend = process.hrtime(hrstart);
+    process.stdout.write(clc.greenBright(`Generated ./data${filePath}: ${hrend[0]}s ${hrend[1] / 1000000}ms\n`));
+};
+
+/**
+ * Generate the resolution tiers (see RESOLUTIONS in simplify.js) of every continent, country grouping,
+ * country and region as {code}-{resolution}.json next to their full resolution files, and of the states
+ * as /states/admin1-{resolution}.json (the features of admin1 in the same order). The arcs of the
+ * topology of every level are simplified once, so the neighbours still share the same borders
+ */
+const generateResolutions = () => {
+    const topology = getPlacesTopology();
+    const directories = {
+        continents: ['/continents', props => props.continent_code],
+        country_groupings: ['/country-groupings', props => props.grouping_code],
+        countries: ['/countries', props => props.country_a2],
+        regions: ['/regions', props => props.region_code]
+    };
+    Object.keys(RESOLUTIONS).forEach(resolution => {
+        const hrstart = process.hrtime();
+        const simplified = simplifyTopology(topology, RESOLUTIONS[resolution]);
+        const decode = (object) => {
+            const feature = topojsonClient.feature(simplified, object);
+            feature.geometry = cleanGeometry(feature.geometry, null);
+            return feature;
+        };
+        Object.keys(directories).forEach(name => {
+            const [dir, getCode] = directories[name];
+            simplified.objects[name].geometries.forEach(object => {
+                const filePath = `${dir}/${getCode(object.properties)}-${resolution}.json`;
+                fs.writeFileSync(path.join(dataPath, filePath), JSON.stringify(decode(object)));
+            });
+        });
+        const filePath = `/states/admin1-${resolution}.json`;
+        fs.writeFileSync(path.join(dataPath, filePath), JSON.stringify({
+            type: 'FeatureCollection',
+            features: simplified.objects.states.geometries.map((object, i) => Object.assign(decode(object), {
+                properties: admin1.features[i].properties
+            }))
+        }));
+        const hrend = process.hrtime(hrstart);
+        process.stdout.write(clc.greenBright(`Generated the ${resolution} resolution tier: ${hrend[0]}s ${hrend[1] / 1000000}ms\n`));
+    });
+};
+
 const simplifyGeoJSONs = (dir) => {
     let files = getDir(path.join(dataPath, '/'+dir), dir+'.json');
     for(const file of files) {
         if(file.endsWith('-simplified.json')) continue;
+        if(Object.keys(RESOLUTIONS).some(resolution => file.endsWith(`-${resolution}.json`))) continue;
         const hrstart = process.hrtime();
         const sourcePath = '/'+dir+'/'+file;
         const targetPath = sourcePath.replace('.json', '-simplified.json');
         process.stdout.write(clc.yellowBright(`Generating ./data${targetPath}\n`));
         const geojson = JSON.parse(fs.readFileSync(path.join(dataPath, sourcePath)));
-        let result = turf.simplify(geojson, { tolerance: 0.01, highQuality: true, mutate: true });
+        let result = turf.simplify(geojson, { tolerance: SIMPLIFIED_TOLERANCE, highQuality: true, mutate: true });
         fs.writeFileSync(path.join(dataPath, targetPath), JSON.stringify(result));
         const hrend = process.hrtime(hrstart);
         moveUp();
@@ -558,6 +865,11 @@ async function init() {
     simplifyCountryGroupings();
     generateContinents();
     simplifyContinents();
+    generateMetrics();
+    generateNeighbours();
+    generateResolutions();
+    // Build mode to emit the topology too: npm run build -- --topojson
+    if(process.argv.includes('--topojson')) generateTopology();
 
     let hrend = process.hrtime(hrstart);
     process.stdout.write(clc.magentaBright(`Total time: ${hrend[0]}s ${hrend[1] / 1000000}ms\n`));
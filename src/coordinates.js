@@ -0,0 +1,149 @@
+/**
+ * Coordinates parsing, every format is normalised to { lat, lng }
+ *
+ * Axis order of the supported formats:
+ * - GeoJSON Point geometries and features: [lng, lat] (always, as in the GeoJSON spec)
+ * - Arrays: [lng, lat] by default (GeoJSON order), [lat, lng] with axisOrder: 'latlng'
+ * - Decimal strings "40.41,-3.70": lat,lng by default, lng,lat with axisOrder: 'lnglat'
+ * - Degrees-minutes-seconds strings: the hemisphere letters (N/S, E/W) set the axis, in any order
+ * - Objects: { lat, lng }, { lat, lon } or { latitude, longitude }
+ * - Geohashes: the center of the geohash cell, the strings that are also degrees-minutes-seconds
+ *   (like 40N3W, the letters n, s, e and w are geohash characters) are parsed as degrees
+ */
+
+const { InvalidCoordinatesError } = require('./errors');
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+const DECIMAL_PAIR = /^\s*([+-]?\d+(?:\.\d+)?)\s*(?:[,;]\s*|\s+)([+-]?\d+(?:\.\d+)?)\s*$/;
+const GEOHASH = /^[0-9bcdefghjkmnpqrstuvwxyz]{1,12}$/;
+const NUMBER = /\d+(?:\.\d+)?/g;
+
+const wrongCoordinates = (input) => {
+    return new InvalidCoordinatesError(input, 'Wrong coordinates (' + (typeof input === 'string' ? input : JSON.stringify(input)) + ')');
+};
+
+/**
+ * Wrap a longitude to [-180, 180) (181.2 is -178.8 and -190 is 170), 180 is the same
+ * meridian as -180 so it's returned as -180
+ */
+const normalizeLongitude = (lng) => {
+    if(lng >= -180 && lng < 180) return lng;
+    return ((lng + 180) % 360 + 360) % 360 - 180;
+};
+
+/**
+ * Checks the range of the latitude and normalise the longitude (see normalizeLongitude)
+ * @return object { lat, lng } or InvalidCoordinatesError
+ */
+const checkCoordinates = (lat, lng) => {
+    if(typeof lat !== 'number' || typeof lng !== 'number' || !isFinite(lat) || !isFinite(lng) ||
+        lat < -90 || lat > 90) {
+        return new InvalidCoordinatesError({ lat, lng }, 'Wrong coordinates (lat: ' + lat + ',lng: ' + lng + ')');
+    }
+    return { lat, lng: normalizeLongitude(lng) };
+};
+
+/**
+ * Decode a geohash to the center of its cell
+ * @return object { lat, lng }
+ */
+const decodeGeohash = (geohash) => {
+    let even = true;
+    let lat = [-90, 90];
+    let lng = [-180, 180];
+    for(const c of geohash) {
+        const value = GEOHASH_ALPHABET.indexOf(c);
+        for(let bit = 4; bit >= 0; bit--) {
+            const range = even ? lng : lat;
+            const middle = (range[0] + range[1]) / 2;
+            if((value >> bit) & 1) {
+                range[0] = middle;
+            } else {
+                range[1] = middle;
+            }
+            even = !even;
+        }
+    }
+    return { lat: (lat[0] + lat[1]) / 2, lng: (lng[0] + lng[1]) / 2 };
+};
+
+/**
+ * Parse a degrees-minutes-seconds string like 40°24'59"N 3°42'09"W, N 40 24.98 W 3 42.15
+ * or 40.41N, 3.70W (the hemisphere letter can be before or after the numbers)
+ * @return object { lat, lng } or null if the string is not in this format
+ */
+const parseDMS = (text) => {
+    text = text.trim().toUpperCase();
+    const letters = text.match(/[NSEW]/g);
+    if(!letters || letters.length !== 2) return null;
+    if(/[^NSEW\d\s.,;°º'′’"″:-]/.test(text.replace(/[NSEW]/g, ''))) return null;
+
+    const prefixed = /^[NSEW]/.test(text);
+    let parts = text.split(/[NSEW]/);
+    parts = prefixed ? parts.slice(1) : parts.slice(0, 2);
+
+    const result = {};
+    for(let i = 0; i < 2; i++) {
+        const numbers = (parts[i].match(NUMBER) || []).map(Number);
+        if(numbers.length < 1 || numbers.length > 3) return null;
+        const [degrees, minutes = 0, seconds = 0] = numbers;
+        if(minutes >= 60 || seconds >= 60) return null;
+        const value = degrees + minutes / 60 + seconds / 3600;
+        const letter = letters[i];
+        const axis = letter === 'N' || letter === 'S' ? 'lat' : 'lng';
+        if(result[axis] !== undefined) return null;
+        result[axis] = letter === 'S' || letter === 'W' ? -value : value;
+    }
+    return result;
+};
+
+/**
+ * Parse coordinates in any of the supported formats
+ * @param input GeoJSON Point, array, object, decimal or DMS string, or geohash
+ * @param options object { axisOrder: 'lnglat' | 'latlng' } axis order of arrays and decimal strings
+ * @return object { lat, lng } or InvalidCoordinatesError
+ */
+const parseCoordinates = (input, options = {}) => {
+    if(input && input.type === 'Feature') input = input.geometry;
+
+    if(input instanceof Array) {
+        const latlng = options.axisOrder === 'latlng';
+        return checkCoordinates(latlng ? input[0] : input[1], latlng ? input[1] : input[0]);
+    }
+
+    if(typeof input === 'string') {
+        const pair = input.match(DECIMAL_PAIR);
+        if(pair) {
+            const lnglat = options.axisOrder === 'lnglat';
+            return checkCoordinates(Number(lnglat ? pair[2] : pair[1]), Number(lnglat ? pair[1] : pair[2]));
+        }
+        const dms = parseDMS(input);
+        if(dms) return checkCoordinates(dms.lat, dms.lng);
+        const geohash = input.trim().toLowerCase();
+        if(GEOHASH.test(geohash)) {
+            return decodeGeohash(geohash);
+        }
+        return wrongCoordinates(input);
+    }
+
+    if(input && typeof input === 'object') {
+        if(input.type === 'Point') {
+            if(!(input.coordinates instanceof Array)) return wrongCoordinates(input);
+            return checkCoordinates(input.coordinates[1], input.coordinates[0]);
+        }
+        const lat = input.lat !== undefined ? input.lat : input.latitude;
+        const lng = [input.lng, input.lon, input.longitude].find(value => value !== undefined);
+        return checkCoordinates(lat, lng);
+    }
+
+    return wrongCoordinates(input);
+};
+
+module.exports = {
+    normalizeLongitude,
+    checkCoordinates,
+    decodeGeohash,
+    parseDMS,
+    parseCoordinates
+};
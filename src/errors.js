@@ -0,0 +1,51 @@
+/**
+ * Errors thrown in strict mode (see configure), in lenient mode the methods return null
+ * instead, except for the points with wrong coordinates in lookUpMany where the error is returned
+ */
+
+class GeojsonPlacesError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+class InvalidCoordinatesError extends GeojsonPlacesError {
+    /**
+     * @param input the coordinates received
+     * @param message string
+     */
+    constructor(input, message) {
+        super(message);
+        this.input = input;
+    }
+}
+
+class UnknownCodeError extends GeojsonPlacesError {
+    /**
+     * @param kind string continent, country_grouping, country, region or state
+     * @param value string the code received
+     */
+    constructor(kind, value) {
+        super(`Unknown ${kind} code: ${value}`);
+        this.kind = kind;
+        this.value = value;
+    }
+}
+
+class DataFileMissingError extends GeojsonPlacesError {
+    /**
+     * @param path string the expected path of the data file
+     */
+    constructor(path) {
+        super(`Data file not found: ${path}`);
+        this.path = path;
+    }
+}
+
+module.exports = {
+    GeojsonPlacesError,
+    InvalidCoordinatesError,
+    UnknownCodeError,
+    DataFileMissingError
+};
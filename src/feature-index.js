@@ -0,0 +1,291 @@
+const { pointInPolygon, getBBox } = require('./utils');
+const { createSpatialIndex, searchSpatialIndex } = require('./spatial-index');
+const { haversineDistance, nearestPointOnSegment, isAntimeridianSegment, nearestPointOnRings, getDistanceBBox } = require('./geometry');
+
+/**
+ * Get the polygons (arrays of rings) of a Polygon or MultiPolygon geometry
+ */
+const getPolygons = (geometry) => {
+    if(!geometry) return [];
+    if(geometry.type === 'Polygon') return [geometry.coordinates];
+    if(geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+};
+
+/**
+ * Checks if a point is contained in a polygon excluding its holes
+ * @param rings array the outer ring followed by the holes
+ * @param point array [lng, lat]
+ * @return boolean
+ */
+const pointInRings = (rings, point) => {
+    if(!pointInPolygon(rings[0], point)) return false;
+    for(let j = 1; j < rings.length; j++) {
+        if(pointInPolygon(rings[j], point)) return false;
+    }
+    return true;
+};
+
+/**
+ * Get the same point on the other side of the antimeridian, the polygons of the
+ * features crossing it are split at -180/180, so a point on the meridian can
+ * touch one half only with one of the two longitudes
+ * @param point array [lng, lat]
+ * @return array [lng, lat] or null if the point is not on the antimeridian
+ */
+const getAntimeridianTwin = (point) => {
+    if(Math.abs(point[0]) !== 180) return null;
+    return [-point[0], point[1]];
+};
+
+/**
+ * Build a spatial index over the polygons of a list of features,
+ * every polygon of a MultiPolygon gets its own bounding box
+ * @param features array of GeoJSON features
+ * @return object
+ */
+const createFeatureIndex = (features) => {
+    const parts = [];
+    features.forEach((feature, featureIndex) => {
+        getPolygons(feature.geometry).forEach(rings => {
+            if(rings.length > 0) parts.push({ featureIndex, rings, box: getBBox(rings[0]) });
+        });
+    });
+    return {
+        features,
+        parts,
+        tree: createSpatialIndex(parts.map(part => part.box))
+    };
+};
+
+/**
+ * Get the ids of the polygons whose bounding box intersects the box specified
+ * @param index object built with createFeatureIndex
+ * @return array of polygon ids in features order
+ */
+const searchParts = (index, minX, minY, maxX = minX, maxY = minY) => {
+    return searchSpatialIndex(index.tree, minX, minY, maxX, maxY);
+};
+
+/**
+ * Get the position of the first feature containing the point among the polygons specified
+ * @param index object built with createFeatureIndex
+ * @param partIds array of polygon ids in features order (see searchParts)
+ * @param point array [lng, lat]
+ * @return number position of the feature or -1 if not found
+ */
+const findFeatureInParts = (index, partIds, point) => {
+    for(const partId of partIds) {
+        const part = index.parts[partId];
+        const box = part.box;
+        if(point[0] < box[0] || point[0] > box[2] || point[1] < box[1] || point[1] > box[3]) continue;
+        if(pointInRings(part.rings, point)) return part.featureIndex;
+    }
+    return -1;
+};
+
+/**
+ * Get the position of the first feature containing the point, in the order
+ * of the features array (same result as testing every feature one by one)
+ * @param index object built with createFeatureIndex
+ * @param point array [lng, lat]
+ * @return number position of the feature or -1 if not found
+ */
+const findFeature = (index, point) => {
+    const featureIndex = findFeatureInParts(index, searchParts(index, point[0], point[1]), point);
+    const twin = getAntimeridianTwin(point);
+    if(featureIndex !== -1 || !twin) return featureIndex;
+    return findFeatureInParts(index, searchParts(index, twin[0], twin[1]), twin);
+};
+
+/**
+ * Get the positions of every feature containing the point
+ * @param index object built with createFeatureIndex
+ * @param point array [lng, lat]
+ * @return array of feature positions in the order of the features array
+ */
+const findFeatures = (index, point) => {
+    const result = [];
+    const twin = getAntimeridianTwin(point);
+    for(const position of twin ? [point, twin] : [point]) {
+        for(const partId of searchParts(index, position[0], position[1])) {
+            const part = index.parts[partId];
+            if(result.includes(part.featureIndex)) continue;
+            if(pointInRings(part.rings, position)) result.push(part.featureIndex);
+        }
+    }
+    return result.sort((a, b) => a - b);
+};
+
+/**
+ * Get the polygons of the features accepted by the filter and their overall bounding box
+ * @param index object built with createFeatureIndex
+ * @param filter function (feature) => boolean
+ * @return object { partIds, box } to be used with subsetContains
+ */
+const createSubset = (index, filter) => {
+    const accepted = index.features.map(filter);
+    const partIds = [];
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    index.parts.forEach((part, partId) => {
+        if(!accepted[part.featureIndex]) return;
+        partIds.push(partId);
+        getBBox([part.box.slice(0, 2), part.box.slice(2)], box);
+    });
+    return { partIds, box };
+};
+
+/**
+ * Checks if a point is contained in any polygon of a subset of features
+ * @param index object built with createFeatureIndex
+ * @param subset object built with createSubset
+ * @param point array [lng, lat]
+ * @return boolean
+ */
+const subsetContains = (index, subset, point) => {
+    const twin = getAntimeridianTwin(point);
+    return (twin ? [point, twin] : [point]).some(position => {
+        const box = subset.box;
+        if(position[0] < box[0] || position[0] > box[2] || position[1] < box[1] || position[1] > box[3]) return false;
+        return findFeatureInParts(index, subset.partIds, position) !== -1;
+    });
+};
+
+/**
+ * Checks if any segment of the rings is closer to the point than the distance specified,
+ * only the segments intersecting the box are measured (and not the ones on the antimeridian)
+ * @param box array [minX, minY, maxX, maxY] containing every position closer than the distance
+ */
+const ringsNearPoint = (rings, point, distance, box) => {
+    for(const ring of rings) {
+        for(let i = 1; i < ring.length; i++) {
+            const a = ring[i - 1];
+            const b = ring[i];
+            if(Math.max(a[0], b[0]) < box[0] || Math.min(a[0], b[0]) > box[2] ||
+                Math.max(a[1], b[1]) < box[1] || Math.min(a[1], b[1]) > box[3]) continue;
+            if(isAntimeridianSegment(a, b)) continue;
+            if(haversineDistance(point, nearestPointOnSegment(point, a, b)) <= distance) return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Get the features whose boundary is closer than epsilon to the point, among the polygons
+ * specified (the parity test of pointInPolygon gives an arbitrary answer for these points)
+ * @param index object built with createFeatureIndex
+ * @param partIds array of polygon ids (see searchParts), their boxes must include the
+ * box of getDistanceBBox(point, epsilon)
+ * @param point array [lng, lat]
+ * @param epsilon number in meters
+ * @return array of feature positions in the order of the features array
+ */
+const findBorderFeaturesInParts = (index, partIds, point, epsilon) => {
+    const result = [];
+    const box = getDistanceBBox(point, epsilon);
+    for(const partId of partIds) {
+        const part = index.parts[partId];
+        if(result.includes(part.featureIndex)) continue;
+        if(part.box[0] > box[2] || part.box[2] < box[0] || part.box[1] > box[3] || part.box[3] < box[1]) continue;
+        if(ringsNearPoint(part.rings, point, epsilon, box)) result.push(part.featureIndex);
+    }
+    return result.sort((a, b) => a - b);
+};
+
+/**
+ * Get the features whose boundary is closer than epsilon to the point
+ * (see findBorderFeaturesInParts)
+ * @param index object built with createFeatureIndex
+ * @param point array [lng, lat]
+ * @param epsilon number in meters
+ * @return array of feature positions in the order of the features array
+ */
+const findBorderFeatures = (index, point, epsilon) => {
+    const result = [];
+    const twin = getAntimeridianTwin(point);
+    for(const position of twin ? [point, twin] : [point]) {
+        const partIds = searchParts(index, ...getDistanceBBox(position, epsilon));
+        findBorderFeaturesInParts(index, partIds, position, epsilon).forEach(featureIndex => {
+            if(!result.includes(featureIndex)) result.push(featureIndex);
+        });
+    }
+    return result.sort((a, b) => a - b);
+};
+
+/**
+ * Get the polygons that can be closer than the distance specified to the point. When the
+ * search box crosses the antimeridian the polygons on the other side are searched too,
+ * with the point shifted 360 degrees
+ * @return array of { partId, position } position is the point to measure the distance from
+ */
+const searchPartsWithinDistance = (index, point, maxDistance) => {
+    const result = [];
+    const box = getDistanceBBox(point, maxDistance);
+    const positions = [point];
+    if(box[0] < -180) positions.push([point[0] + 360, point[1]]);
+    if(box[2] > 180) positions.push([point[0] - 360, point[1]]);
+    for(const position of positions) {
+        const shift = position[0] - point[0];
+        for(const partId of searchParts(index, box[0] + shift, box[1], box[2] + shift, box[3])) {
+            result.push({ partId, position });
+        }
+    }
+    return result;
+};
+
+/**
+ * Get the feature whose boundary is the nearest to the point, ties are resolved
+ * by the order of the features array
+ * @param index object built with createFeatureIndex
+ * @param point array [lng, lat]
+ * @param maxDistance number in meters
+ * @return object { featureIndex, distance, coordinate } or null if no feature is closer than maxDistance
+ */
+const findNearestFeature = (index, point, maxDistance) => {
+    let nearest = null;
+    for(const { partId, position } of searchPartsWithinDistance(index, point, maxDistance)) {
+        const part = index.parts[partId];
+        const { distance, coordinate } = nearestPointOnRings(part.rings, position);
+        if(distance <= maxDistance && (!nearest || distance < nearest.distance ||
+            (distance === nearest.distance && part.featureIndex < nearest.featureIndex))) {
+            nearest = { featureIndex: part.featureIndex, distance, coordinate };
+        }
+    }
+    return nearest;
+};
+
+/**
+ * Get the features closer than the distance specified to the point
+ * @param index object built with createFeatureIndex
+ * @param point array [lng, lat]
+ * @param maxDistance number in meters
+ * @return Map feature position => distance in meters to its nearest polygon (0 if it contains the point)
+ */
+const findFeaturesWithinDistance = (index, point, maxDistance) => {
+    const result = new Map();
+    for(const { partId, position } of searchPartsWithinDistance(index, point, maxDistance)) {
+        const part = index.parts[partId];
+        if(result.get(part.featureIndex) === 0) continue;
+        const distance = pointInRings(part.rings, position) ? 0 : nearestPointOnRings(part.rings, position).distance;
+        if(distance > maxDistance) continue;
+        if(!result.has(part.featureIndex) || distance < result.get(part.featureIndex)) result.set(part.featureIndex, distance);
+    }
+    return result;
+};
+
+module.exports = {
+    getPolygons,
+    pointInRings,
+    getAntimeridianTwin,
+    createFeatureIndex,
+    searchParts,
+    findFeatureInParts,
+    findFeature,
+    findFeatures,
+    createSubset,
+    subsetContains,
+    findBorderFeaturesInParts,
+    findBorderFeatures,
+    findNearestFeature,
+    findFeaturesWithinDistance
+};
@@ -0,0 +1,256 @@
+/**
+ * Output formats of the geometry getters, the data files are GeoJSON and
+ * they're converted on every call
+ */
+
+const topojsonServer = require('topojson-server');
+
+// Geometry types of WKB
+const WKB_TYPES = {
+    Point: 1,
+    LineString: 2,
+    Polygon: 3,
+    MultiPoint: 4,
+    MultiLineString: 5,
+    MultiPolygon: 6,
+    GeometryCollection: 7
+};
+
+/**
+ * Get the features of a Feature, a FeatureCollection or a geometry
+ * @return array of features
+ */
+const getFeatures = (geojson) => {
+    if(geojson.type === 'FeatureCollection') return geojson.features;
+    if(geojson.type === 'Feature') return [geojson];
+    return [{ type: 'Feature', properties: {}, geometry: geojson }];
+};
+
+/**
+ * Get the geometry of a Feature, a FeatureCollection (a GeometryCollection if it has
+ * several features) or a geometry
+ * @return object geometry or null
+ */
+const getGeometry = (geojson) => {
+    const features = getFeatures(geojson);
+    if(features.length === 1) return features[0].geometry;
+    return { type: 'GeometryCollection', geometries: features.map(feature => feature.geometry).filter(Boolean) };
+};
+
+/**
+ * Convert a GeoJSON object to a TopoJSON topology with a single object
+ * @param geojson Feature, FeatureCollection or geometry
+ * @param name string name of the object in the topology
+ * @param quantization number of positions per axis, the coordinates are kept without it
+ * @return object Topology
+ */
+const toTopoJSON = (geojson, name, quantization) => {
+    return topojsonServer.topology({ [name]: geojson }, quantization);
+};
+
+/**
+ * Get the WKT text of a geometry
+ */
+const geometryToWKT = (geometry) => {
+    if(!geometry) return 'GEOMETRYCOLLECTION EMPTY';
+    const type = geometry.type.toUpperCase();
+    const positions = (coordinates) => '(' + coordinates.map(position => position[0] + ' ' + position[1]).join(', ') + ')';
+    const rings = (coordinates) => '(' + coordinates.map(positions).join(', ') + ')';
+    const coordinates = geometry.coordinates;
+    if(geometry.type === 'GeometryCollection') {
+        if(geometry.geometries.length === 0) return `${type} EMPTY`;
+        return `${type} (${geometry.geometries.map(geometryToWKT).join(', ')})`;
+    }
+    if(!coordinates || coordinates.length === 0) return `${type} EMPTY`;
+    switch(geometry.type) {
+    case 'Point':
+        return `${type} (${coordinates[0]} ${coordinates[1]})`;
+    case 'MultiPoint':
+    case 'LineString':
+        return `${type} ${positions(coordinates)}`;
+    case 'MultiLineString':
+    case 'Polygon':
+        return `${type} ${rings(coordinates)}`;
+    case 'MultiPolygon':
+        return `${type} (${coordinates.map(rings).join(', ')})`;
+    default:
+        throw new TypeError(`Unknown geometry type: ${geometry.type}`);
+    }
+};
+
+/**
+ * Convert a GeoJSON object to WKT
+ * @param geojson Feature, FeatureCollection (see getGeometry) or geometry
+ * @return string
+ */
+const toWKT = (geojson) => {
+    return geometryToWKT(getGeometry(geojson));
+};
+
+/**
+ * Get the WKB chunks of a geometry (little endian, 2D)
+ * @return array of Buffers
+ */
+const geometryToWKB = (geometry, chunks = []) => {
+    const uint32 = (value) => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeUInt32LE(value, 0);
+        chunks.push(buffer);
+    };
+    const doubles = (coordinates) => {
+        const buffer = Buffer.alloc(coordinates.length * 16);
+        coordinates.forEach((position, i) => {
+            buffer.writeDoubleLE(position[0], i * 16);
+            buffer.writeDoubleLE(position[1], i * 16 + 8);
+        });
+        chunks.push(buffer);
+    };
+    const positions = (coordinates) => {
+        uint32(coordinates.length);
+        doubles(coordinates);
+    };
+    const collection = (items, type) => {
+        uint32(items.length);
+        items.forEach(item => geometryToWKB({ type, coordinates: item }, chunks));
+    };
+    const rings = (coordinates) => {
+        uint32(coordinates.length);
+        coordinates.forEach(positions);
+    };
+    if(!geometry) geometry = { type: 'GeometryCollection', geometries: [] };
+    if(!WKB_TYPES[geometry.type]) throw new TypeError(`Unknown geometry type: ${geometry.type}`);
+    chunks.push(Buffer.from([1]));
+    uint32(WKB_TYPES[geometry.type]);
+    const coordinates = geometry.coordinates || [];
+    switch(geometry.type) {
+    case 'Point':
+        doubles([coordinates.length > 0 ? coordinates : [NaN, NaN]]); // NaN coordinates for an empty point
+        break;
+    case 'LineString':
+        positions(coordinates);
+        break;
+    case 'Polygon':
+        rings(coordinates);
+        break;
+    case 'MultiPoint':
+        collection(coordinates, 'Point');
+        break;
+    case 'MultiLineString':
+        collection(coordinates, 'LineString');
+        break;
+    case 'MultiPolygon':
+        collection(coordinates, 'Polygon');
+        break;
+    case 'GeometryCollection':
+        uint32(geometry.geometries.length);
+        geometry.geometries.forEach(item => geometryToWKB(item, chunks));
+        break;
+    }
+    return chunks;
+};
+
+/**
+ * Convert a GeoJSON object to WKB (little endian, 2D)
+ * @param geojson Feature, FeatureCollection (see getGeometry) or geometry
+ * @return Buffer
+ */
+const toWKB = (geojson) => {
+    return Buffer.concat(geometryToWKB(getGeometry(geojson)));
+};
+
+/**
+ * Get the text of a property value, the arrays are joined with commas
+ */
+const formatValue = (value) => {
+    if(value === undefined || value === null) return '';
+    if(value instanceof Array) return value.join(',');
+    if(typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const escapeXML = (text) => {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+
+/**
+ * Get the KML element of a geometry
+ */
+const geometryToKML = (geometry) => {
+    if(!geometry) return '<MultiGeometry/>';
+    const positions = (coordinates) => '<coordinates>' + coordinates.map(position => position[0] + ',' + position[1]).join(' ') + '</coordinates>';
+    const polygon = (rings) => '<Polygon>' +
+        '<outerBoundaryIs><LinearRing>' + positions(rings[0] || []) + '</LinearRing></outerBoundaryIs>' +
+        rings.slice(1).map(ring => '<innerBoundaryIs><LinearRing>' + positions(ring) + '</LinearRing></innerBoundaryIs>').join('') +
+        '</Polygon>';
+    const multi = (elements) => '<MultiGeometry>' + elements.join('') + '</MultiGeometry>';
+    const coordinates = geometry.coordinates || [];
+    switch(geometry.type) {
+    case 'Point':
+        return '<Point>' + positions([coordinates]) + '</Point>';
+    case 'MultiPoint':
+        return multi(coordinates.map(position => '<Point>' + positions([position]) + '</Point>'));
+    case 'LineString':
+        return '<LineString>' + positions(coordinates) + '</LineString>';
+    case 'MultiLineString':
+        return multi(coordinates.map(line => '<LineString>' + positions(line) + '</LineString>'));
+    case 'Polygon':
+        return polygon(coordinates);
+    case 'MultiPolygon':
+        return multi(coordinates.map(polygon));
+    case 'GeometryCollection':
+        return multi(geometry.geometries.map(geometryToKML));
+    default:
+        throw new TypeError(`Unknown geometry type: ${geometry.type}`);
+    }
+};
+
+/**
+ * Convert a GeoJSON object to a KML document with a Placemark per feature, the properties
+ * of the features are in its ExtendedData
+ * @param geojson Feature, FeatureCollection or geometry
+ * @param getName function (properties) => string name of the Placemark
+ * @return string
+ */
+const toKML = (geojson, getName = () => null) => {
+    const placemarks = getFeatures(geojson).map(feature => {
+        const properties = feature.properties || {};
+        const name = getName(properties);
+        const data = Object.keys(properties).map(key => `<Data name="${escapeXML(key)}"><value>${escapeXML(formatValue(properties[key]))}</value></Data>`);
+        return '<Placemark>' +
+            (name ? `<name>${escapeXML(name)}</name>` : '') +
+            (data.length > 0 ? `<ExtendedData>${data.join('')}</ExtendedData>` : '') +
+            geometryToKML(feature.geometry) +
+            '</Placemark>';
+    });
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' + placemarks.join('') + '</Document></kml>\n';
+};
+
+const escapeCSV = (text) => {
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+};
+
+/**
+ * Convert a GeoJSON object to CSV (RFC 4180), a row per feature with its properties
+ * and its geometry in WKT in the last column (wkt)
+ * @param geojson Feature, FeatureCollection or geometry
+ * @return string with a header row
+ */
+const toCSV = (geojson) => {
+    const features = getFeatures(geojson);
+    const columns = [];
+    features.forEach(feature => Object.keys(feature.properties || {}).forEach(key => {
+        if(!columns.includes(key)) columns.push(key);
+    }));
+    const rows = features.map(feature => columns.map(key => formatValue((feature.properties || {})[key]))
+        .concat(geometryToWKT(feature.geometry)));
+    return [columns.concat('wkt')].concat(rows).map(row => row.map(escapeCSV).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    toTopoJSON,
+    toWKT,
+    toWKB,
+    toKML,
+    toCSV
+};
@@ -0,0 +1,229 @@
+const EARTH_RADIUS = 6371008.8; // Mean earth radius in meters
+const METERS_PER_DEGREE = EARTH_RADIUS * Math.PI / 180;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Get the great-circle distance between two positions
+ * @param a array [lng, lat]
+ * @param b array [lng, lat]
+ * @return number distance in meters
+ */
+const haversineDistance = (a, b) => {
+    const dLat = toRadians(b[1] - a[1]);
+    const dLng = toRadians(b[0] - a[0]);
+    const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRadians(a[1])) * Math.cos(toRadians(b[1])) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Get the nearest position to the point on the segment a-b, the segment is
+ * projected on a plane tangent to the point (equirectangular), which is accurate
+ * enough for the short segments of the boundaries
+ * @param point array [lng, lat]
+ * @param a array [lng, lat]
+ * @param b array [lng, lat]
+ * @return array [lng, lat]
+ */
+const nearestPointOnSegment = (point, a, b) => {
+    const k = Math.cos(toRadians(point[1]));
+    const ax = (a[0] - point[0]) * k;
+    const ay = a[1] - point[1];
+    const bx = (b[0] - point[0]) * k;
+    const by = b[1] - point[1];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const length = dx * dx + dy * dy;
+    let t = length > 0 ? -(ax * dx + ay * dy) / length : 0;
+    t = Math.max(0, Math.min(1, t));
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+};
+
+/**
+ * Checks if the segment a-b lies on the antimeridian, the polygons crossing it are
+ * split there so these segments are not a real boundary
+ */
+const isAntimeridianSegment = (a, b) => {
+    return Math.abs(a[0]) === 180 && a[0] === b[0];
+};
+
+/**
+ * Get the nearest position to the point on a set of rings (polygon boundaries),
+ * the segments on the antimeridian are skipped
+ * @param rings array of rings
+ * @param point array [lng, lat]
+ * @return object { distance, coordinate } distance in meters
+ */
+const nearestPointOnRings = (rings, point) => {
+    let nearest = { distance: Infinity, coordinate: null };
+    for(const ring of rings) {
+        for(let i = 1; i < ring.length; i++) {
+            if(isAntimeridianSegment(ring[i - 1], ring[i])) continue;
+            const coordinate = nearestPointOnSegment(point, ring[i - 1], ring[i]);
+            const distance = haversineDistance(point, coordinate);
+            if(distance < nearest.distance) nearest = { distance, coordinate };
+        }
+    }
+    return nearest;
+};
+
+/**
+ * Split a set of rings into lines without the segments found in more than one ring (in
+ * either direction), when the rings of several polygons are merged these segments are
+ * inside the merged area, not on its boundary
+ * @param rings array of rings
+ * @return array of lines, the rings without shared segments are returned as they are
+ */
+const removeSharedSegments = (rings) => {
+    const getKey = (a, b) => a[0] < b[0] || (a[0] === b[0] && a[1] <= b[1]) ? `${a}|${b}` : `${b}|${a}`;
+    const owners = new Map();
+    const shared = new Set();
+    rings.forEach((ring, r) => {
+        for(let i = 1; i < ring.length; i++) {
+            const key = getKey(ring[i - 1], ring[i]);
+            if(!owners.has(key)) owners.set(key, r);
+            else if(owners.get(key) !== r) shared.add(key);
+        }
+    });
+    if(shared.size === 0) return rings;
+    const lines = [];
+    rings.forEach(ring => {
+        let line = [ring[0]];
+        for(let i = 1; i < ring.length; i++) {
+            if(shared.has(getKey(ring[i - 1], ring[i]))) {
+                if(line.length > 1) lines.push(line);
+                line = [ring[i]];
+            } else line.push(ring[i]);
+        }
+        if(line.length > 1) lines.push(line);
+    });
+    return lines;
+};
+
+/**
+ * Get the positions along the segment a-b where it crosses the segment c-d
+ * @return number t in [0, 1] (a + (b - a) * t is the crossing) or null if they don't cross
+ */
+const segmentIntersection = (a, b, c, d) => {
+    const rx = b[0] - a[0];
+    const ry = b[1] - a[1];
+    const sx = d[0] - c[0];
+    const sy = d[1] - c[1];
+    const denominator = rx * sy - ry * sx;
+    if(denominator === 0) return null; // Parallel or collinear
+    const qx = c[0] - a[0];
+    const qy = c[1] - a[1];
+    const t = (qx * sy - qy * sx) / denominator;
+    const u = (qx * ry - qy * rx) / denominator;
+    if(t < 0 || t > 1 || u < 0 || u > 1) return null;
+    return t;
+};
+
+/**
+ * Get a box around the point containing every position closer than the distance specified
+ * @param point array [lng, lat]
+ * @param distance number in meters
+ * @return array [minX, minY, maxX, maxY]
+ */
+const getDistanceBBox = (point, distance) => {
+    const dLat = distance / METERS_PER_DEGREE;
+    const cos = Math.cos(toRadians(Math.min(90, Math.abs(point[1]) + dLat)));
+    const dLng = cos > 0 ? Math.min(180, dLat / cos) : 180;
+    return [point[0] - dLng, Math.max(-90, point[1] - dLat), point[0] + dLng, Math.min(90, point[1] + dLat)];
+};
+
+/**
+ * Get the positions of a coordinates array of any depth
+ * @return array of [lng, lat]
+ */
+const getPositions = (coordinates, positions = []) => {
+    if(!(coordinates instanceof Array)) return positions;
+    if(typeof coordinates[0] === 'number') {
+        positions.push(coordinates);
+    } else {
+        coordinates.forEach(c => getPositions(c, positions));
+    }
+    return positions;
+};
+
+/**
+ * Get the centroid of a geometry on the plane of longitudes and latitudes: the center
+ * of mass of the polygons (the holes subtract), the middle of the lines weighted by
+ * the length of their segments or the mean of the points
+ * @param geometry GeoJSON geometry
+ * @return array [lng, lat] or null if the geometry is empty
+ */
+const getGeometryCentroid = (geometry) => {
+    if(!geometry) return null;
+    if(geometry.type === 'GeometryCollection') {
+        const centroids = (geometry.geometries || []).map(getGeometryCentroid).filter(Boolean);
+        if(centroids.length === 0) return null;
+        return getGeometryCentroid({ type: 'MultiPoint', coordinates: centroids });
+    }
+    const coordinates = geometry.coordinates || [];
+    let x = 0;
+    let y = 0;
+    let weight = 0;
+    if(geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+        const polygons = geometry.type === 'Polygon' ? [coordinates] : coordinates;
+        polygons.forEach(rings => rings.forEach((ring, r) => {
+            let area = 0;
+            let cx = 0;
+            let cy = 0;
+            for(let i = 1; i < ring.length; i++) {
+                const cross = ring[i - 1][0] * ring[i][1] - ring[i][0] * ring[i - 1][1];
+                area += cross;
+                cx += (ring[i - 1][0] + ring[i][0]) * cross;
+                cy += (ring[i - 1][1] + ring[i][1]) * cross;
+            }
+            if(area === 0) return;
+            // The outer ring adds its area and the holes subtract it, whatever their winding order
+            const sign = (r === 0) === (area > 0) ? 1 : -1;
+            x += sign * cx / 3;
+            y += sign * cy / 3;
+            weight += sign * area;
+        }));
+        if(weight !== 0) return [x / weight, y / weight];
+        x = y = 0;
+    }
+    if(geometry.type === 'LineString' || geometry.type === 'MultiLineString' ||
+        geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+        const lines = geometry.type === 'LineString' ? [coordinates] :
+            (geometry.type === 'MultiPolygon' ? [].concat(...coordinates) : coordinates);
+        lines.forEach(line => {
+            for(let i = 1; i < line.length; i++) {
+                const length = Math.hypot(line[i][0] - line[i - 1][0], line[i][1] - line[i - 1][1]);
+                x += (line[i][0] + line[i - 1][0]) / 2 * length;
+                y += (line[i][1] + line[i - 1][1]) / 2 * length;
+                weight += length;
+            }
+        });
+        if(weight !== 0) return [x / weight, y / weight];
+        x = y = 0;
+    }
+    // Points, or lines and polygons of a single position
+    const positions = getPositions(coordinates);
+    if(positions.length === 0) return null;
+    positions.forEach(position => {
+        x += position[0];
+        y += position[1];
+    });
+    return [x / positions.length, y / positions.length];
+};
+
+module.exports = {
+    EARTH_RADIUS,
+    METERS_PER_DEGREE,
+    toRadians,
+    toDegrees,
+    haversineDistance,
+    nearestPointOnSegment,
+    isAntimeridianSegment,
+    nearestPointOnRings,
+    removeSharedSegments,
+    segmentIntersection,
+    getDistanceBBox,
+    getGeometryCentroid
+};
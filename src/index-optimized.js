@@ -1,7 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const clone = require('just-clone');
-const { pointInPolygon, translateNames, translateName } = require('./utils');
+const { translateNames, translateName } = require('./utils');
+const { createFeatureIndex, findFeature } = require('./feature-index');
 const { getCache } = require('./cache');
 
 // Configuration
@@ -27,6 +28,9 @@ const { admin1, continents, countries, countryGroupings, regions } = dataModule;
 
 const dataPath = path.join(__dirname, './../data/');
 
+// Built once at load time, lookups only test the polygons whose bbox contains the point
+const admin1Index = createFeatureIndex(admin1.features);
+
 /**
  * Configure the library
  */
@@ -57,40 +61,10 @@ const reverseGeolocation = (lat, lng, dataType = null) => {
         }
     }
 
-    let point = [lng, lat];
-    let i = 0;
-    let found = false;
+    const point = [lng, lat];
     const countries = admin1.features;
-    for(const country of countries) {
-        if(country.geometry.type === 'Polygon') {
-            found = pointInPolygon(country.geometry.coordinates[0], point);
-            if(found && country.geometry.coordinates.length > 1) {
-                // Exclude holes
-                for(let j = 1; j < country.geometry.coordinates.length; j++) {
-                    if(pointInPolygon(country.geometry.coordinates[j], point)) {
-                        found = false;
-                        break;
-                    }
-                }
-            }
-        } else if(country.geometry.type === 'MultiPolygon') {
-            for(const coords of country.geometry.coordinates) {
-                found = pointInPolygon(coords[0], point);
-                if(found && coords.length > 1) {
-                    // Exclude holes
-                    for(let j = 1; j < coords.length; j++) {
-                        if(pointInPolygon(coords[j], point)) {
-                            found = false;
-                            break;
-                        }
-                    }
-                }
-                if(found) break;
-            }
-        }
-        if(found) break;
-        i++;
-    }
+    const i = findFeature(admin1Index, point);
+    const found = i !== -1;
 
     let result = null;
     if(found) {
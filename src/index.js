@@ -1,171 +1,1362 @@
 const fs = require('fs');
 const path = require('path');
 const clone = require('just-clone');
-const { pointInPolygon, translateNames, translateName } = require('./utils');
+const { getBBox, translateNames, translateName, getLocalizedName } = require('./utils');
+const {
+    getPolygons,
+    createFeatureIndex,
+    searchParts,
+    findFeatureInParts,
+    findFeature,
+    findFeatures,
+    createSubset,
+    subsetContains,
+    findBorderFeaturesInParts,
+    findBorderFeatures,
+    findNearestFeature,
+    findFeaturesWithinDistance,
+    getAntimeridianTwin
+} = require('./feature-index');
+const { nearestPointOnRings, removeSharedSegments, getDistanceBBox, getGeometryCentroid } = require('./geometry');
+const { traceFeatures } = require('./trace');
+const { getAreaPolygons, findIntersectingFeatures, clipGeometry, getArea } = require('./intersect');
+const { createRandom, createSampler, samplePoint } = require('./sampling');
+const { createLayerIndex, isValidTile, encodeTile } = require('./tiles');
+const { toTopoJSON, toWKT, toWKB, toKML, toCSV } = require('./formats');
+const { SIMPLIFIED_TOLERANCE, RESOLUTIONS, simplifyGeoJSON } = require('./simplify');
+const { getCache } = require('./cache');
+const topojsonClient = require('topojson-client');
+const { normalizeLongitude, checkCoordinates, parseCoordinates } = require('./coordinates');
+const { GeojsonPlacesError, InvalidCoordinatesError, UnknownCodeError, DataFileMissingError } = require('./errors');
 const { admin1, continents, countries, countryGroupings, regions } = require('./data');
 
 const dataPath = path.join(__dirname, './../data/');
 
+// Configuration
+let config = {
+    strict: false
+};
+
 /**
- * Get information from coordinates
+ * Configure the library
+ * @param options object { strict } strict: throw typed errors instead of returning null
  */
-const reverseGeolocation = (lat, lng, dataType = null) => {
-    if(typeof lat !== 'number' || typeof lng !== 'number') {
-        return new Error('Wrong coordinates (lat: ' + lat + ',lng: ' + lng + ')');
-    }
-
-    let point = [lng, lat];
-    let i = 0;
-    let found = false;
-    const countries = admin1.features;
-    for(const country of countries) {
-        if(country.geometry.type === 'Polygon') {
-            found = pointInPolygon(country.geometry.coordinates[0], point);
-            if(found && country.geometry.coordinates.length > 1) {
-                // Exclude holes
-                for(let j = 1; j < country.geometry.coordinates.length; j++) {
-                    if(pointInPolygon(country.geometry.coordinates[j], point)) {
-                        found = false;
-                        break;
-                    }
-                }
-            }
-        } else if(country.geometry.type === 'MultiPolygon') {
-            for(const coords of country.geometry.coordinates) {
-                found = pointInPolygon(coords[0], point);
-                if(found && coords.length > 1) {
-                    // Exclude holes
-                    for(let j = 1; j < coords.length; j++) {
-                        if(pointInPolygon(coords[j], point)) {
-                            found = false;
-                            break;
-                        }
-                    }
-                }
-                if(found) break;
-            }
+const configure = (options = {}) => {
+    if(options.strict !== undefined) {
+        config.strict = options.strict === true;
+    }
+};
+
+/**
+ * Checks if the strict mode applies, the strict option of the call overrides the global configuration
+ */
+const isStrict = (options) => {
+    return options && options.strict !== undefined ? options.strict === true : config.strict;
+};
+
+/**
+ * Throw the error in strict mode, return null otherwise
+ */
+const fail = (error, options) => {
+    if(isStrict(options)) throw error;
+    return null;
+};
+
+/**
+ * Read and parse a data file
+ * @param filePath string relative to the data folder
+ * @return object or null (DataFileMissingError in strict mode) if the file doesn't exist
+ */
+const readDataFile = (filePath, options) => {
+    const fullPath = path.join(dataPath, filePath);
+    try {
+        return JSON.parse(fs.readFileSync(fullPath));
+    } catch(e) {
+        if(!isStrict(options)) return null;
+        if(e.code === 'ENOENT') throw new DataFileMissingError(fullPath);
+        throw e;
+    }
+};
+
+// Topology generated by the build with --topojson, loaded the first time a GeoJSON file is missing
+let topology = null;
+
+// Objects of the topology with the places of each level and the property with their code
+const TOPOLOGY_OBJECTS = {
+    continent: ['continents', 'continent_code'],
+    country_grouping: ['country_groupings', 'grouping_code'],
+    country: ['countries', 'country_a2'],
+    region: ['regions', 'region_code']
+};
+
+/**
+ * Read the GeoJSON file of a place, when the file doesn't exist the place is decoded
+ * from the topology (see generateTopology in build.js) if it has been generated, and
+ * simplified as the build does for the simplified files. The topology only has the full
+ * resolution, so the files of the resolution tiers are never decoded from it
+ * @param level string continent, country_grouping, country or region
+ * @param suffix string of the file name (see getFileSuffix)
+ * @return object Feature or null (DataFileMissingError in strict mode) if the place is not found
+ */
+const readGeometryFile = (filePath, level, code, suffix, options) => {
+    if(suffix !== '' && suffix !== '-simplified') return readDataFile(filePath, options);
+    const geojson = readDataFile(filePath, { strict: false });
+    if(geojson) return geojson;
+    if(topology === null) topology = readDataFile('/topology/topology.json', { strict: false }) || false;
+    if(topology) {
+        const [name, key] = TOPOLOGY_OBJECTS[level];
+        const object = topology.objects[name].geometries.find(geometry => geometry.properties[key] === code);
+        if(object) {
+            const feature = topojsonClient.feature(topology, object);
+            return suffix === '-simplified' ? simplifyGeoJSON(feature, { tolerance: SIMPLIFIED_TOLERANCE }) : feature;
         }
-        if(found) break;
-        i++;
     }
+    return readDataFile(filePath, options);
+};
 
-    let result = null;
-    if(found) {
-        if(dataType === 'raw') {
+// Features of admin1 in every resolution tier, loaded the first time they're needed
+const admin1Resolutions = new Map();
+
+/**
+ * Get the suffix of the data files in the resolution of the options (see generateResolutions
+ * in build.js), with the full resolution the simplified files of the continents and country
+ * groupings are used if simplified is true
+ * @param options object { resolution } 'full' (by default), '10m', '50m' or '110m'
+ * @return string or null (GeojsonPlacesError in strict mode) if the resolution is unknown
+ */
+const getFileSuffix = (simplified, options = {}) => {
+    const resolution = options.resolution || 'full';
+    if(resolution === 'full') return simplified ? '-simplified' : '';
+    if(!RESOLUTIONS[resolution]) return fail(new GeojsonPlacesError(`Unknown resolution: ${resolution}`), options);
+    return `-${resolution}`;
+};
+
+/**
+ * Get the geometry of an admin1 feature in the resolution of the options (see getFileSuffix)
+ * @return object geometry or null if the resolution is unknown or its data file doesn't exist
+ */
+const getStateGeometry = (feature, options = {}) => {
+    const resolution = options.resolution || 'full';
+    if(resolution === 'full') return feature.geometry;
+    if(!RESOLUTIONS[resolution]) return fail(new GeojsonPlacesError(`Unknown resolution: ${resolution}`), options);
+    if(!admin1Resolutions.has(resolution)) {
+        const data = readDataFile(`/states/admin1-${resolution}.json`, options);
+        if(!data) return null;
+        admin1Resolutions.set(resolution, data.features);
+    }
+    const tierFeature = admin1Resolutions.get(resolution)[admin1Positions.get(feature)];
+    return tierFeature ? tierFeature.geometry : null;
+};
+
+/**
+ * Get the GeoJSON of a place simplified and/or rounded with the options, the results are memoised
+ * in the LRU cache (see cache.js) so the geometry is only simplified the first time
+ * @param key string identifying the geometry, e.g. country:ES
+ * @param read function () => GeoJSON object or null, called when the result is not in the cache
+ * @param options object { tolerance, precision, preserveTopology }
+ * tolerance: distance in degrees under which the positions are removed (Douglas-Peucker)
+ * precision: number of decimals of the coordinates (0 to 15)
+ * preserveTopology: keep the boundaries shared by several polygons consistent (see simplifyGeoJSON)
+ * @return object or null (GeojsonPlacesError in strict mode) if the options are wrong
+ */
+const getPlaceGeoJSON = (key, read, options = {}) => {
+    const { tolerance, precision } = options;
+    if(tolerance === undefined && precision === undefined) return read();
+    if(tolerance !== undefined && !(typeof tolerance === 'number' && tolerance >= 0 && isFinite(tolerance))) {
+        return fail(new GeojsonPlacesError(`Wrong tolerance: ${tolerance}`), options);
+    }
+    if(precision !== undefined && !(Number.isInteger(precision) && precision >= 0 && precision <= 15)) {
+        return fail(new GeojsonPlacesError(`Wrong precision: ${precision}`), options);
+    }
+    const cache = getCache();
+    const cacheKey = `simplify:${key}:${tolerance || 0}:${precision}:${options.preserveTopology === true}`;
+    let result = cache.get(cacheKey);
+    if(!result) {
+        const geojson = read();
+        if(!geojson) return geojson;
+        result = simplifyGeoJSON(geojson, options);
+        cache.set(cacheKey, result);
+    }
+    return clone(result);
+};
+
+/**
+ * Get the localized name of the most specific place of a feature from the codes of its properties
+ * @return string or undefined if the properties have no known code
+ */
+const getPlaceName = (properties, locale) => {
+    if(properties.state_code && statesByCode.has(properties.state_code)) {
+        return getLocalizedName(statesByCode.get(properties.state_code), locale, 'state_name');
+    }
+    if(properties.region_code && regionsByCode.has(properties.region_code)) {
+        return getLocalizedName(regionsByCode.get(properties.region_code), locale, 'region_name');
+    }
+    if(properties.grouping_code) {
+        return getLocalizedName(countryGroupings.find(item => item.grouping_code === properties.grouping_code), locale, 'grouping_name');
+    }
+    if(properties.country_a2) {
+        return getLocalizedName(countriesByAlpha2.get(properties.country_a2), locale, 'country_name');
+    }
+    return getLocalizedName(continentsByCode.get(properties.continent_code), locale, 'continent_name');
+};
+
+/**
+ * Convert the result of a geometry getter to the format of the options
+ * @param name string code of the place, the name of the object in the TopoJSON topology
+ * @param options object { format, quantization, encoding, locale }
+ * format: 'geojson' (by default), 'topojson', 'wkt', 'wkb', 'kml' or 'csv'
+ * quantization: positions per axis of the TopoJSON topology, the coordinates are kept without it
+ * encoding: 'hex' to get the WKB as an hexadecimal string instead of a Buffer
+ * locale: language of the names of the KML placemarks
+ * @return object, string or Buffer, or null (GeojsonPlacesError in strict mode) if the format is unknown
+ */
+const formatGeoJSON = (geojson, name, options = {}) => {
+    if(!geojson || !options.format || options.format === 'geojson') return geojson;
+    switch(options.format) {
+    case 'topojson':
+        return toTopoJSON(geojson, name, options.quantization);
+    case 'wkt':
+        return toWKT(geojson);
+    case 'wkb':
+        return options.encoding === 'hex' ? toWKB(geojson).toString('hex') : toWKB(geojson);
+    case 'kml':
+        return toKML(geojson, properties => getPlaceName(properties, options.locale || null));
+    case 'csv':
+        return toCSV(geojson);
+    default:
+        return fail(new GeojsonPlacesError(`Unknown format: ${options.format}`), options);
+    }
+};
+
+// Built once at load time, lookups only test the polygons whose bbox contains the point
+const admin1Index = createFeatureIndex(admin1.features);
+
+// Position of every admin1 feature, the features of the resolution tiers are in the same order
+const admin1Positions = new Map(admin1.features.map((feature, i) => [feature, i]));
+
+// Lookup tables used to enrich the lookUp results without cloning and sorting the lists
+const continentsByCode = new Map(continents.map(item => [item.continent_code, item]));
+const countriesByAlpha2 = new Map(countries.map(item => [item.country_a2, item]));
+const regionsByCode = new Map(regions.map(item => [item.region_code, item]));
+const statesByCode = new Map();
+regions.forEach(region => (region.states || []).forEach(state => statesByCode.set(state.state_code, state)));
+const countryGroupingsByCountry = new Map();
+countryGroupings.forEach(countryGrouping => (countryGrouping.countries || []).forEach(alpha2 => {
+    if(!countryGroupingsByCountry.has(alpha2)) countryGroupingsByCountry.set(alpha2, []);
+    countryGroupingsByCountry.get(alpha2).push(countryGrouping.grouping_code);
+}));
+
+/**
+ * Get the lookUp codes of an admin1 feature
+ * @param options object { locale, include } include: array with 'names' and/or 'groupings'
+ * (names are also included when a locale is specified)
+ */
+const getFeatureProperties = (feature, options = {}) => {
+    let props = feature.properties;
+    let properties = {};
+    properties.continent_code = props.cont_code;
+    properties.country_a2 = props.iso_a2;
+    properties.country_a3 = props.adm0_a3;
+    properties.region_code = props.region_code;
+    if(props.iso_3166_2 !== '' && !props.iso_3166_2.endsWith('~')) {
+        properties.state_code = props.iso_3166_2;
+    }
+    const include = options.include || [];
+    if(options.locale || include.includes('names')) {
+        const locale = options.locale || null;
+        properties.continent_name = getLocalizedName(continentsByCode.get(properties.continent_code), locale, 'continent_name');
+        properties.country_name = getLocalizedName(countriesByAlpha2.get(properties.country_a2), locale, 'country_name');
+        properties.region_name = getLocalizedName(regionsByCode.get(properties.region_code), locale, 'region_name');
+        if(properties.state_code) {
+            properties.state_name = getLocalizedName(statesByCode.get(properties.state_code), locale, 'state_name');
+        }
+    }
+    if(include.includes('groupings')) {
+        properties.country_groupings = (countryGroupingsByCountry.get(properties.country_a2) || []).slice();
+    }
+    return properties;
+};
+
+/**
+ * Get the result of a lookUp from the admin1 feature found
+ * @return object or null (an error in strict mode) if the geometry of the resolution
+ * tier doesn't exist or the geometry options are wrong (see getPlaceGeoJSON)
+ */
+const getFeatureResult = (feature, dataType = null, options = {}) => {
+    let result;
+    if(dataType === 'raw') {
+        result = {
+            type: 'FeatureCollection',
+            features: [ clone(feature) ]
+        };
+    } else {
+        let properties = getFeatureProperties(feature, options);
+        if(dataType === 'geojson') {
+            const geometry = getPlaceGeoJSON(`admin1:${feature.properties.adm1_code}:${options.resolution || 'full'}`, () => {
+                const stateGeometry = getStateGeometry(feature, options);
+                return stateGeometry ? clone(stateGeometry) : null;
+            }, options);
+            if(!geometry) return null;
             result = {
                 type: 'FeatureCollection',
-                features: [ clone(countries[i]) ]
+                features: [{
+                    type: 'Feature',
+                    properties,
+                    geometry
+                }]
             };
         } else {
-            let props = countries[i].properties;
-            let properties = {};
-            properties.continent_code = props.cont_code;
-            properties.country_a2 = props.iso_a2;
-            properties.country_a3 = props.adm0_a3;
-            properties.region_code = props.region_code;
-            if(props.iso_3166_2 !== '' && !props.iso_3166_2.endsWith('~')) {
-                properties.state_code = props.iso_3166_2;
+            result = properties;
+        }
+    }
+    return result;
+};
+
+/**
+ * Get the result of the state nearest to a point not contained in any state
+ * (flagged with nearest: true and the distance to its boundary), or null if
+ * no state is closer than maxDistanceKm
+ */
+const getNearestResult = (point, dataType = null, options = {}) => {
+    if(!(options.maxDistanceKm > 0)) return null;
+    const nearest = findNearestFeature(admin1Index, point, options.maxDistanceKm * 1000);
+    if(!nearest) return null;
+    let result = getFeatureResult(admin1.features[nearest.featureIndex], dataType, options);
+    if(!result) return null;
+    let properties = dataType ? result.features[0].properties : result;
+    properties.nearest = true;
+    properties.distance_km = Math.round(nearest.distance) / 1000;
+    return result;
+};
+
+// Distance in meters to a state boundary under which a point is on the border
+const BORDER_EPSILON = 1;
+
+const getBorderEpsilon = (options = {}) => {
+    return typeof options.borderEpsilon === 'number' && options.borderEpsilon >= 0 ? options.borderEpsilon : BORDER_EPSILON;
+};
+
+// Tie-break key of the states touching a border point
+const getBorderSortKey = (feature) => {
+    return getFeatureProperties(feature).state_code || feature.properties.adm1_code || '';
+};
+
+/**
+ * Sort admin1 features by the tie-break rule of the border points, the lowest state code
+ * in alphabetical order, so the result doesn't depend on the order of the features
+ */
+const sortBorderFeatures = (features) => {
+    const keys = new Map(features.map(feature => [feature, getBorderSortKey(feature)]));
+    return features.sort((a, b) => keys.get(a) < keys.get(b) ? -1 : (keys.get(a) > keys.get(b) ? 1 : 0));
+};
+
+/**
+ * Get the states touching a point closer than the border epsilon to the boundary of some
+ * states (borderFeatures), those ones and the states containing it, sorted by the tie-break rule.
+ * A point out of every state is only on a border shared by several states, the points close
+ * to the coastline of a single state are on the water (as if they were farther)
+ * @return array of features, empty if the point is not on a border
+ */
+const getTouchingFeatures = (point, borderFeatures) => {
+    if(borderFeatures.length === 0) return [];
+    const containing = findFeatures(admin1Index, point);
+    if(containing.length === 0 && borderFeatures.length < 2) return [];
+    const featureIndexes = borderFeatures.slice();
+    containing.forEach(i => {
+        if(!featureIndexes.includes(i)) featureIndexes.push(i);
+    });
+    return sortBorderFeatures(featureIndexes.map(i => admin1.features[i]));
+};
+
+/**
+ * Get the result of a point on a border, from the states touching it (see getTouchingFeatures).
+ * When several states touch the point the first one by the tie-break rule is returned,
+ * flagged with onBorder: true and the codes of all of them in border_state_codes
+ */
+const getBorderResult = (features, dataType = null, options = {}) => {
+    if(features.length === 1) return getFeatureResult(features[0], dataType, options);
+
+    let result = getFeatureResult(features[0], dataType, options);
+    if(!result) return null;
+    let properties = dataType ? result.features[0].properties : result;
+    properties.onBorder = true;
+    properties.border_state_codes = features.map(feature => getFeatureProperties(feature).state_code).filter(Boolean);
+    return result;
+};
+
+/**
+ * Get information from coordinates
+ * @param coordinates object { lat, lng } (see getLookUpArguments) or InvalidCoordinatesError
+ * (thrown in strict mode, null is returned otherwise)
+ * @param options object { maxDistanceKm, borderEpsilon, locale, include, strict }
+ * maxDistanceKm: return the nearest state when no state contains the point
+ * borderEpsilon: distance in meters to a boundary under which the point is on the border (see getBorderResult)
+ * locale, include: add the localized names and/or country groupings (see getFeatureProperties)
+ */
+const reverseGeolocation = (coordinates, dataType = null, options = {}) => {
+    if(coordinates instanceof Error) return fail(coordinates, options);
+
+    const point = [coordinates.lng, coordinates.lat];
+    const touchingFeatures = getTouchingFeatures(point, findBorderFeatures(admin1Index, point, getBorderEpsilon(options)));
+    if(touchingFeatures.length > 0) return getBorderResult(touchingFeatures, dataType, options);
+    const i = findFeature(admin1Index, point);
+
+    let result = null;
+    if(i !== -1) {
+        result = getFeatureResult(admin1.features[i], dataType, options);
+    } else {
+        result = getNearestResult(point, dataType, options);
+    }
+
+    return result;
+};
+
+/**
+ * Get the admin1 feature containing the point, the first one by the tie-break rule
+ * for the points on a border (see getBorderResult)
+ * @return object feature or null if not found
+ */
+const locateFeature = (point, options = {}) => {
+    const touchingFeatures = getTouchingFeatures(point, findBorderFeatures(admin1Index, point, getBorderEpsilon(options)));
+    if(touchingFeatures.length > 0) return touchingFeatures[0];
+    const i = findFeature(admin1Index, point);
+    return i !== -1 ? admin1.features[i] : null;
+};
+
+/**
+ * Get the coordinates and options of the lookUp arguments, either (lat, lng, options)
+ * or (coordinates, options) with the coordinates in any format supported by parseCoordinates
+ * @return array [coordinates, options] coordinates is { lat, lng } or InvalidCoordinatesError
+ */
+const getLookUpArguments = (lat, lon, options) => {
+    if(typeof lat === 'number' || (lon !== undefined && (lon === null || typeof lon !== 'object'))) {
+        return [checkCoordinates(lat, lon), options || {}];
+    }
+    options = lon || {};
+    return [parseCoordinates(lat, options), options];
+};
+
+// Size in degrees of the cells used by lookUpMany to group nearby points
+const BATCH_CELL_SIZE = 0.25;
+
+/**
+ * Get information from a batch of coordinates, the points are grouped in cells
+ * so the candidate polygons are searched only once for all the points of each cell
+ * @param points array of coordinates in any format supported by parseCoordinates, or a FeatureCollection of Points
+ * (the arrays are [lat, lng] unless axisOrder: 'lnglat' is specified)
+ * @param options object { dataType: 'properties' | 'geojson' | 'raw', axisOrder, maxDistanceKm, borderEpsilon, locale, include }
+ * @return array of results in the same order as the points (null if not found, InvalidCoordinatesError
+ * if wrong coordinates, also in strict mode so the rest of the batch is processed)
+ */
+const lookUpMany = (points, options = {}) => {
+    const items = points && points.type === 'FeatureCollection' ? points.features : points;
+    if(!(items instanceof Array)) {
+        return fail(new InvalidCoordinatesError(points, 'Wrong points (expected an array or a FeatureCollection)'), options);
+    }
+    const dataType = options.dataType && options.dataType !== 'properties' ? options.dataType : null;
+    const axisOrder = options.axisOrder || 'latlng';
+
+    const results = new Array(items.length).fill(null);
+    const cells = new Map();
+    items.forEach((item, position) => {
+        const coordinates = parseCoordinates(item, { axisOrder });
+        if(coordinates instanceof Error) {
+            results[position] = coordinates;
+            return;
+        }
+        const { lat, lng } = coordinates;
+        const key = Math.floor(lng / BATCH_CELL_SIZE) + ':' + Math.floor(lat / BATCH_CELL_SIZE);
+        if(!cells.has(key)) cells.set(key, []);
+        cells.get(key).push({ position, point: [lng, lat] });
+    });
+
+    // Results are built once per feature and every point found in it gets its own copy
+    const featureResults = new Map();
+    const borderEpsilon = getBorderEpsilon(options);
+    cells.forEach(cellPoints => {
+        const box = [Infinity, Infinity, -Infinity, -Infinity];
+        cellPoints.forEach(({ point }) => {
+            const near = getDistanceBBox(point, borderEpsilon);
+            getBBox([near.slice(0, 2), near.slice(2)], box);
+        });
+        const partIds = searchParts(admin1Index, ...box);
+        cellPoints.forEach(({ position, point }) => {
+            const borderFeatures = getAntimeridianTwin(point) ?
+                findBorderFeatures(admin1Index, point, borderEpsilon) :
+                findBorderFeaturesInParts(admin1Index, partIds, point, borderEpsilon);
+            const touchingFeatures = getTouchingFeatures(point, borderFeatures);
+            if(touchingFeatures.length > 0) {
+                results[position] = getBorderResult(touchingFeatures, dataType, options);
+                return;
             }
-            if(dataType === 'geojson') {
-                result = {
-                    type: 'FeatureCollection',
-                    features: [{
-                        type: 'Feature',
-                        properties,
-                        geometry: clone(countries[i].geometry)
-                    }]
-                };
-            } else {
-                result = clone(properties);
+            let i = findFeatureInParts(admin1Index, partIds, point);
+            if(i === -1 && getAntimeridianTwin(point)) i = findFeature(admin1Index, point);
+            if(i === -1) {
+                results[position] = getNearestResult(point, dataType, options);
+                return;
+            }
+            if(!featureResults.has(i)) featureResults.set(i, getFeatureResult(admin1.features[i], dataType, options));
+            const result = featureResults.get(i);
+            results[position] = result ? clone(result) : null;
+        });
+    });
+
+    return results;
+};
+
+const lookUp = (lat, lon, options) => {
+    const [coordinates, _options] = getLookUpArguments(lat, lon, options);
+    return reverseGeolocation(coordinates, null, _options);
+};
+
+const lookUpRaw = (lat, lon, options) => {
+    const [coordinates, _options] = getLookUpArguments(lat, lon, options);
+    return reverseGeolocation(coordinates, 'raw', _options);
+};
+
+const lookUpGeoJSON = (lat, lon, options) => {
+    const [coordinates, _options] = getLookUpArguments(lat, lon, options);
+    const result = reverseGeolocation(coordinates, 'geojson', _options);
+    if(!result) return null;
+    return formatGeoJSON(result, 'places', _options);
+};
+
+/**
+ * Get the codes of every state containing the point, for overlapping or disputed
+ * areas where lookUp only returns the first state found
+ */
+const lookUpAll = (lat, lon, options) => {
+    const [coordinates, _options] = getLookUpArguments(lat, lon, options);
+    if(coordinates instanceof Error) return fail(coordinates, _options);
+    return findFeatures(admin1Index, [coordinates.lng, coordinates.lat]).map(i => getFeatureProperties(admin1.features[i], _options));
+};
+
+/**
+ * Get the states traversed by a line, in order, with the coordinates where the line
+ * enters and exits each state (at the exact boundary) and the distance travelled inside
+ * @param line LineString geometry or feature, or array of [lng, lat]
+ * @param options object { locale, include, strict } (see getFeatureProperties)
+ * @return array of segments (the stretches out of every state are not included), or null
+ * (InvalidCoordinatesError in strict mode) if the line is wrong
+ */
+const traceLineString = (line, options = {}) => {
+    let coordinates = line;
+    if(line && line.type === 'Feature') line = line.geometry;
+    if(line && line.type === 'LineString') coordinates = line.coordinates;
+    if(!(coordinates instanceof Array) || coordinates.length < 2 ||
+        !coordinates.every(c => c instanceof Array && typeof c[0] === 'number' && typeof c[1] === 'number')) {
+        return fail(new InvalidCoordinatesError(line, 'Wrong line (expected a LineString or an array of [lng, lat] with at least 2 positions)'), options);
+    }
+    return traceFeatures(admin1Index, coordinates.map(c => [normalizeLongitude(c[0]), c[1]]))
+        .filter(stretch => stretch.featureIndex !== -1)
+        .map(stretch => Object.assign(getFeatureProperties(admin1.features[stretch.featureIndex], options), {
+            entry: stretch.entry,
+            exit: stretch.exit,
+            distance_km: Math.round(stretch.distance) / 1000
+        }));
+};
+
+// Levels of getDistanceToBorder and getPlacesIntersecting, with the lookUp properties that don't apply to each one
+const LEVELS = {
+    country: ['region_code', 'region_name', 'state_code', 'state_name'],
+    region: ['state_code', 'state_name'],
+    state: []
+};
+
+// Distance in meters to the nearest boundary coordinate under which a state is a neighbour
+const NEIGHBOUR_EPSILON = 10;
+
+/**
+ * Get the lookUp properties of an admin1 feature for a level of getDistanceToBorder
+ */
+const getLevelProperties = (feature, level, options) => {
+    const properties = getFeatureProperties(feature, options);
+    LEVELS[level].forEach(key => delete properties[key]);
+    return properties;
+};
+
+/**
+ * Get the geometry of the country, region or state of an admin1 feature, the region and
+ * country geometries are read from their data files
+ * @return object Polygon or MultiPolygon geometry or null if the data file doesn't exist
+ */
+const getLevelGeometry = (feature, level, options) => {
+    if(level === 'state') return feature.geometry;
+    const code = level === 'region' ? feature.properties.region_code : feature.properties.iso_a2;
+    const data = readGeometryFile(`/${level === 'region' ? 'regions' : 'countries'}/${code}.json`, level, code, '', options);
+    return data ? data.geometry : null;
+};
+
+/**
+ * Get the code identifying the country, region or state of an admin1 feature
+ */
+const getLevelCode = (feature, level) => {
+    if(level === 'country') return feature.properties.iso_a2;
+    if(level === 'region') return feature.properties.region_code;
+    return getBorderSortKey(feature);
+};
+
+/**
+ * Get the geometry of a country, region or state from its admin1 features (see getLevelGeometry),
+ * a state can be made of several features so the geometry of a state is the union of all of them
+ * @return object Polygon or MultiPolygon geometry or null if the data file doesn't exist
+ */
+const getUnitGeometry = (features, level, options) => {
+    if(level !== 'state' || features.length === 1) return getLevelGeometry(features[0], level, options);
+    return { type: 'MultiPolygon', coordinates: [].concat(...features.map(feature => getPolygons(feature.geometry))) };
+};
+
+/**
+ * Get the distance from a point to the boundary of the country, region or state containing it
+ * @param options object { level: 'country' | 'region' | 'state', borderEpsilon, locale, include, strict }
+ * level: 'state' by default, the state geometry is taken from admin1 and the region and country
+ * geometries from their data files
+ * @return object lookUp properties of the level with distance_m (great-circle distance in meters),
+ * coordinate (nearest boundary position [lng, lat]) and neighbour (lookUp properties of the
+ * level on the other side, or null for coastlines), null if the point is not in any state
+ * or the data file doesn't exist or the coordinates are wrong (InvalidCoordinatesError in strict mode)
+ */
+const getDistanceToBorder = (lat, lon, options) => {
+    const [coordinates, _options] = getLookUpArguments(lat, lon, options);
+    options = _options;
+    if(coordinates instanceof Error) return fail(coordinates, options);
+    const level = options.level || 'state';
+    if(!LEVELS[level]) return fail(new GeojsonPlacesError(`Unknown level: ${level}`), options);
+
+    const point = [coordinates.lng, coordinates.lat];
+    const feature = locateFeature(point, options);
+    if(!feature) return null;
+
+    const code = getLevelCode(feature, level);
+    const unit = level === 'state' ? admin1.features.filter(other => getLevelCode(other, 'state') === code) : [feature];
+    const geometry = getUnitGeometry(unit, level, options);
+    if(!geometry) return null;
+    const sameUnit = (other) => getLevelCode(other, level) === code;
+
+    // Near the antimeridian the boundary can be on the other side
+    const positions = Math.abs(point[0]) > 90 ? [point, [point[0] - Math.sign(point[0]) * 360, point[1]]] : [point];
+    // The boundaries between the features of a state are not borders
+    const rings = removeSharedSegments([].concat(...getPolygons(geometry)));
+    let nearest = { distance: Infinity, coordinate: null };
+    positions.forEach(position => {
+        const candidate = nearestPointOnRings(rings, position);
+        if(candidate.distance < nearest.distance) nearest = candidate;
+    });
+    if(!nearest.coordinate) return null;
+
+    const neighbours = findBorderFeatures(admin1Index, nearest.coordinate, NEIGHBOUR_EPSILON)
+        .map(i => admin1.features[i])
+        .filter(other => !sameUnit(other));
+    const neighbour = neighbours.length > 0 ? sortBorderFeatures(neighbours)[0] : null;
+
+    return Object.assign(getLevelProperties(feature, level, options), {
+        distance_m: Math.round(nearest.distance * 100) / 100,
+        coordinate: nearest.coordinate,
+        neighbour: neighbour ? getLevelProperties(neighbour, level, options) : null
+    });
+};
+
+/**
+ * Get the countries, regions or states intersecting an area
+ * @param area Polygon or MultiPolygon (geometry or feature) or bbox [minX, minY, maxX, maxY]
+ * (a bbox with minX > maxX crosses the antimeridian)
+ * @param options object { level: 'country' | 'region' | 'state', locale, include, strict }
+ * level: 'state' by default
+ * include: array with 'area' (overlap area in square kilometers) and/or 'geometry' (the geometry
+ * of the country, region or state clipped by the area), the region and country geometries are
+ * read from their data files, besides 'names' and 'groupings' (see getFeatureProperties)
+ * @return array of lookUp properties of the level sorted by code, or null (InvalidCoordinatesError
+ * in strict mode) if the area is wrong
+ */
+const getPlacesIntersecting = (area, options = {}) => {
+    const polygons = getAreaPolygons(area);
+    if(!polygons) {
+        return fail(new InvalidCoordinatesError(area, 'Wrong area (expected a Polygon, a MultiPolygon or a bbox [minX, minY, maxX, maxY])'), options);
+    }
+    const level = options.level || 'state';
+    if(!LEVELS[level]) return fail(new GeojsonPlacesError(`Unknown level: ${level}`), options);
+    const include = options.include || [];
+
+    // The features of each country, region or state intersecting the area
+    const units = new Map();
+    findIntersectingFeatures(admin1Index, polygons).forEach(i => {
+        const feature = admin1.features[i];
+        const code = getLevelCode(feature, level);
+        if(!units.has(code)) units.set(code, []);
+        units.get(code).push(feature);
+    });
+
+    return Array.from(units.keys()).sort().map(code => {
+        const features = units.get(code);
+        const result = getLevelProperties(features[0], level, options);
+        if(include.includes('area') || include.includes('geometry')) {
+            const geometry = getUnitGeometry(features, level, options);
+            const clipped = geometry ? clipGeometry(geometry, polygons) : null;
+            if(include.includes('area')) result.area_km2 = geometry ? Math.round(getArea(clipped) / 1000) / 1000 : null;
+            if(include.includes('geometry')) result.geometry = clipped;
+        }
+        return result;
+    });
+};
+
+/**
+ * Get the countries, regions or states closer than a radius to a point, sorted by distance,
+ * either (lat, lng, radiusKm, options) or (coordinates, radiusKm, options) with the coordinates
+ * in any format supported by parseCoordinates
+ * @param radiusKm number
+ * @param options object { level: 'country' | 'region' | 'state', locale, include, strict }
+ * level: 'state' by default
+ * @return array of lookUp properties of the level with the localized names and distance_km
+ * (distance to the nearest polygon, 0 if the point is inside), or null (an error in strict mode)
+ * if the coordinates, the radius or the level are not valid
+ */
+const getPlacesWithinRadius = (lat, lon, radiusKm, options) => {
+    let coordinates;
+    if(typeof lat === 'number' || typeof radiusKm === 'number') {
+        coordinates = checkCoordinates(lat, lon);
+    } else {
+        options = radiusKm;
+        radiusKm = lon;
+        coordinates = parseCoordinates(lat, options || {});
+    }
+    options = options || {};
+    if(coordinates instanceof Error) return fail(coordinates, options);
+    if(typeof radiusKm !== 'number' || !(radiusKm >= 0)) return fail(new GeojsonPlacesError(`Wrong radius: ${radiusKm}`), options);
+    const level = options.level || 'state';
+    if(!LEVELS[level]) return fail(new GeojsonPlacesError(`Unknown level: ${level}`), options);
+    const _options = Object.assign({}, options, { include: ['names'].concat(options.include || []) });
+
+    // The nearest feature of each country, region or state
+    const units = new Map();
+    const point = [coordinates.lng, coordinates.lat];
+    findFeaturesWithinDistance(admin1Index, point, radiusKm * 1000).forEach((distance, i) => {
+        const feature = admin1.features[i];
+        const code = getLevelCode(feature, level);
+        if(!units.has(code) || distance < units.get(code).distance) units.set(code, { feature, distance });
+    });
+
+    return Array.from(units.entries())
+        .sort(([codeA, a], [codeB, b]) => a.distance - b.distance || (codeA < codeB ? -1 : 1))
+        .map(([code, { feature, distance }]) => Object.assign(getLevelProperties(feature, level, _options), {
+            distance_km: Math.round(distance) / 1000
+        }));
+};
+
+// Fields added by annotateFeatureCollection by default, the names are added when a locale is specified
+const ANNOTATE_FIELDS = ['continent_code', 'country_a2', 'region_code', 'state_code'];
+const ANNOTATE_NAME_FIELDS = ['continent_name', 'country_name', 'region_name', 'state_name'];
+
+/**
+ * Get the lookUp properties of the states intersecting a geometry (see annotateFeatureCollection)
+ * @return array of lookUp properties
+ */
+const getIntersectingProperties = (geometry, options) => {
+    switch(geometry.type) {
+    case 'Point':
+        return [reverseGeolocation(checkCoordinates(geometry.coordinates[1], geometry.coordinates[0]), null, options)];
+    case 'MultiPoint':
+        return geometry.coordinates.map(c => reverseGeolocation(checkCoordinates(c[1], c[0]), null, options));
+    case 'LineString':
+        return traceLineString(geometry.coordinates, options);
+    case 'MultiLineString':
+        return [].concat(...geometry.coordinates.map(line => traceLineString(line, options)));
+    case 'Polygon':
+    case 'MultiPolygon':
+        return getPlacesIntersecting(geometry, Object.assign({}, options, { level: 'state' }));
+    case 'GeometryCollection':
+        return [].concat(...(geometry.geometries || []).map(item => getIntersectingProperties(item, options)));
+    default:
+        return [];
+    }
+};
+
+/**
+ * Add the lookUp codes to the properties of every feature of a FeatureCollection
+ * @param fc FeatureCollection
+ * @param options object { fields, locale, prefix, geometryMode, maxDistanceKm, borderEpsilon, strict }
+ * fields: lookUp properties to add (ANNOTATE_FIELDS by default, and ANNOTATE_NAME_FIELDS with a locale)
+ * prefix: string added to the name of the fields
+ * geometryMode: how to annotate non-point geometries, 'centroid' (by default) looks up their centroid,
+ * 'intersecting' sets each field to the array of the values of every state intersecting the geometry
+ * @return object new FeatureCollection, the geometries are not cloned, the fields are null
+ * for the features not found, or null (InvalidCoordinatesError in strict mode) if fc is wrong
+ */
+const annotateFeatureCollection = (fc, options = {}) => {
+    if(!fc || fc.type !== 'FeatureCollection' || !(fc.features instanceof Array)) {
+        return fail(new InvalidCoordinatesError(fc, 'Wrong FeatureCollection'), options);
+    }
+    const fields = options.fields || (options.locale ? ANNOTATE_FIELDS.concat(ANNOTATE_NAME_FIELDS) : ANNOTATE_FIELDS);
+    const prefix = options.prefix || '';
+    const include = [];
+    if(fields.some(field => ANNOTATE_NAME_FIELDS.includes(field))) include.push('names');
+    if(fields.includes('country_groupings')) include.push('groupings');
+    const lookUpOptions = {
+        locale: options.locale,
+        include,
+        maxDistanceKm: options.maxDistanceKm,
+        borderEpsilon: options.borderEpsilon,
+        strict: false
+    };
+    const intersecting = options.geometryMode === 'intersecting';
+
+    // The points (and the centroids) are looked up in a single batch
+    const results = fc.features.map(() => null);
+    const points = [];
+    const positions = [];
+    fc.features.forEach((feature, position) => {
+        const geometry = feature && feature.geometry;
+        if(!geometry) return;
+        if(geometry.type === 'Point') {
+            points.push(geometry.coordinates);
+            positions.push(position);
+        } else if(intersecting) {
+            results[position] = [].concat(getIntersectingProperties(geometry, lookUpOptions)).filter(Boolean);
+        } else {
+            const centroid = getGeometryCentroid(geometry);
+            if(!centroid) return;
+            points.push(centroid);
+            positions.push(position);
+        }
+    });
+    lookUpMany(points, Object.assign({ axisOrder: 'lnglat' }, lookUpOptions)).forEach((result, i) => {
+        results[positions[i]] = result instanceof Error ? null : result;
+    });
+
+    return Object.assign({}, fc, {
+        features: fc.features.map((feature, position) => {
+            const result = results[position];
+            const properties = Object.assign({}, feature && feature.properties);
+            fields.forEach(field => {
+                if(result instanceof Array) {
+                    const values = [];
+                    result.forEach(item => [].concat(item[field] === undefined ? [] : item[field]).forEach(value => {
+                        if(!values.includes(value)) values.push(value);
+                    }));
+                    properties[prefix + field] = values;
+                } else {
+                    properties[prefix + field] = result && result[field] !== undefined ? result[field] : null;
+                }
+            });
+            return Object.assign({}, feature, { properties });
+        })
+    });
+};
+
+// Reducers of aggregatePoints, the values that are not numbers are ignored (except by count)
+const AGGREGATE_REDUCERS = {
+    count: (values) => values.length,
+    sum: (values) => values.reduce((sum, value) => sum + value, 0),
+    mean: (values) => values.length > 0 ? AGGREGATE_REDUCERS.sum(values) / values.length : null,
+    min: (values) => values.length > 0 ? values.reduce((min, value) => value < min ? value : min) : null,
+    max: (values) => values.length > 0 ? values.reduce((max, value) => value > max ? value : max) : null
+};
+
+// Levels of aggregatePoints, with the lookUp properties of each one
+const AGGREGATE_LEVELS = {
+    continent: ['continent_code', 'continent_name'],
+    country_grouping: [],
+    country: ['continent_code', 'country_a2', 'country_a3', 'continent_name', 'country_name'],
+    region: ['continent_code', 'country_a2', 'country_a3', 'region_code', 'continent_name', 'country_name', 'region_name'],
+    state: ['continent_code', 'country_a2', 'country_a3', 'region_code', 'state_code', 'continent_name', 'country_name', 'region_name', 'state_name']
+};
+
+// lookUp property with the code of each level of aggregatePoints
+const AGGREGATE_CODES = {
+    continent: 'continent_code',
+    country: 'country_a2',
+    region: 'region_code',
+    state: 'state_code'
+};
+
+/**
+ * Get the codes of the units of a level containing a lookUp result, a country can be
+ * in several country groupings
+ */
+const getAggregateCodes = (result, level) => {
+    if(level === 'country_grouping') return result.country_groupings || [];
+    const code = result[AGGREGATE_CODES[level]];
+    return code ? [code] : [];
+};
+
+/**
+ * Get the geometry of a unit of a level with the geometry getters
+ * @return object geometry or null if the data file doesn't exist
+ */
+const getAggregateGeometry = (level, code, simplified, options) => {
+    let geojson = null;
+    if(level === 'continent') geojson = getContinentGeoJSONByCode(code, simplified, options);
+    if(level === 'country_grouping') geojson = getCountryGroupingGeoJSONByCode(code, simplified, options);
+    if(level === 'country') geojson = getCountryGeoJSONByAlpha2(code, options);
+    if(level === 'region') geojson = getRegionGeoJSONByCode(code, options);
+    if(level === 'state') geojson = getStateGeoJSONByCode(code, options);
+    return geojson ? geojson.geometry : null;
+};
+
+/**
+ * Count or aggregate the values of a batch of points per continent, country grouping, country,
+ * region or state, as a choropleth-ready FeatureCollection
+ * @param points array of coordinates or FeatureCollection of Points (as in lookUpMany)
+ * @param options object { level, simplified, valueField, reducer, axisOrder, locale, maxDistanceKm, borderEpsilon, strict }
+ * level: 'continent' | 'country_grouping' | 'country' (by default) | 'region' | 'state'
+ * simplified: use the simplified geometries of the continents and country groupings
+ * valueField: property of the features (or key of the coordinates objects) with the value of each point
+ * reducer: 'count' | 'sum' | 'mean' | 'min' | 'max' or function (values) => value,
+ * 'sum' by default with a valueField and 'count' without it
+ * @return object FeatureCollection with one feature per unit with points sorted by code, with the
+ * codes of the unit, count (number of points) and value (reduced value), or null
+ * (InvalidCoordinatesError in strict mode) if the points are wrong
+ */
+const aggregatePoints = (points, options = {}) => {
+    const items = points && points.type === 'FeatureCollection' ? points.features : points;
+    if(!(items instanceof Array)) {
+        return fail(new InvalidCoordinatesError(points, 'Wrong points (expected an array or a FeatureCollection)'), options);
+    }
+    const level = options.level || 'country';
+    if(!AGGREGATE_LEVELS[level]) return fail(new GeojsonPlacesError(`Unknown level: ${level}`), options);
+    const reducer = options.reducer || (options.valueField ? 'sum' : 'count');
+    const reduce = typeof reducer === 'function' ? reducer : AGGREGATE_REDUCERS[reducer];
+    if(!reduce) return fail(new GeojsonPlacesError(`Unknown reducer: ${reducer}`), options);
+
+    const results = lookUpMany(items, {
+        axisOrder: options.axisOrder,
+        maxDistanceKm: options.maxDistanceKm,
+        borderEpsilon: options.borderEpsilon,
+        include: level === 'country_grouping' ? ['groupings'] : [],
+        locale: options.locale,
+        strict: false
+    });
+
+    // Values and lookUp result of the first point of each unit
+    const units = new Map();
+    results.forEach((result, position) => {
+        if(!result || result instanceof Error) return;
+        const item = items[position];
+        let value = undefined;
+        if(options.valueField && item) {
+            value = item.type === 'Feature' ? (item.properties || {})[options.valueField] : item[options.valueField];
+        }
+        getAggregateCodes(result, level).forEach(code => {
+            if(!units.has(code)) units.set(code, { result, values: [], count: 0 });
+            const unit = units.get(code);
+            unit.count++;
+            if(value !== undefined && value !== null) unit.values.push(value);
+        });
+    });
+
+    const features = Array.from(units.keys()).sort().map(code => {
+        const unit = units.get(code);
+        const properties = {};
+        if(level === 'country_grouping') {
+            properties.grouping_code = code;
+            if(options.locale) {
+                properties.grouping_name = getLocalizedName(countryGroupings.find(item => item.grouping_code === code), options.locale, 'grouping_name');
             }
+        } else {
+            AGGREGATE_LEVELS[level].forEach(key => {
+                if(unit.result[key] !== undefined) properties[key] = unit.result[key];
+            });
+        }
+        const values = typeof reducer === 'function' ? unit.values : unit.values.filter(value => typeof value === 'number' && isFinite(value));
+        properties.count = unit.count;
+        properties.value = reducer === 'count' ? unit.count : reduce(values);
+        return {
+            type: 'Feature',
+            properties,
+            geometry: getAggregateGeometry(level, code, options.simplified === true, options)
+        };
+    });
+
+    return {
+        type: 'FeatureCollection',
+        features
+    };
+};
+
+// Draws of a sampled point before giving up, for slivers much smaller than their bounding box
+const SAMPLE_ATTEMPTS = 1000;
+
+/**
+ * Get the geometry of a country, region or state to sample points (see getUnitGeometry)
+ * @return object Polygon or MultiPolygon geometry or null if the data file doesn't exist
+ */
+const getSampleGeometry = (code, level, options) => {
+    const features = admin1.features.filter(feature => getLevelCode(feature, level) === code);
+    if(features.length === 0) return null;
+    return getUnitGeometry(features, level, options);
+};
+
+/**
+ * Get uniformly distributed random points inside a country, region or state, every point
+ * is checked with lookUp so it returns the same place
+ * @param level string country, region or state
+ * @param n number of points
+ * @param options object { seed, format, locale, include, strict }
+ * seed: integer or string to get the same points in every call
+ * format: 'geojson' to get a FeatureCollection with the lookUp properties of every point
+ * @return array of [lng, lat] or FeatureCollection, or null if the code or level is unknown
+ * or the data file doesn't exist
+ */
+const randomPointsIn = (code, level, n, options = {}) => {
+    const codes = { country: countriesByAlpha2, region: regionsByCode, state: statesByCode };
+    if(!codes[level]) return fail(new GeojsonPlacesError(`Unknown level: ${level}`), options);
+    if(!codes[level].has(code)) return fail(new UnknownCodeError(level, code), options);
+    if(!Number.isInteger(n) || n < 0) return fail(new GeojsonPlacesError(`Wrong number of points: ${n}`), options);
+    const geometry = getSampleGeometry(code, level, options);
+    const sampler = geometry ? createSampler(geometry) : null;
+    if(!sampler) return null;
+
+    const random = createRandom(options.seed);
+    const points = [];
+    const results = [];
+    for(let attempts = 0; points.length < n; attempts++) {
+        if(attempts >= n * SAMPLE_ATTEMPTS) {
+            return fail(new GeojsonPlacesError(`Unable to sample ${n} points in ${level} ${code}`), options);
         }
+        const point = samplePoint(sampler, random, SAMPLE_ATTEMPTS);
+        if(!point) continue;
+        const result = lookUp(point[1], point[0], { locale: options.locale, include: options.include });
+        if(!result || result[AGGREGATE_CODES[level]] !== code) continue;
+        points.push(point);
+        results.push(result);
     }
 
-    return result;
+    if(options.format !== 'geojson') return points;
+    return {
+        type: 'FeatureCollection',
+        features: points.map((point, i) => ({
+            type: 'Feature',
+            properties: results[i],
+            geometry: { type: 'Point', coordinates: point }
+        }))
+    };
 };
 
-const lookUp = (lat, lon) => {
-    return reverseGeolocation(lat, lon);
+// Highest zoom of the tiles where the continents layer uses the simplified continents
+const SIMPLIFIED_TILE_MAX_ZOOM = 4;
+
+// Tile indexes of the layers of getTile, created the first time a tile is requested
+let tileLayers = null;
+
+/**
+ * Get the features of the countries or regions of admin1 with the geometries of their data
+ * files and the lookUp codes of the level as properties
+ */
+const getTileFeatures = (level) => {
+    const features = new Map();
+    admin1.features.forEach(feature => {
+        const code = getLevelCode(feature, level);
+        if(features.has(code)) return;
+        const geometry = getLevelGeometry(feature, level, {});
+        features.set(code, geometry ? { type: 'Feature', properties: getLevelProperties(feature, level, {}), geometry } : null);
+    });
+    return Array.from(features.values()).filter(Boolean);
 };
 
-const lookUpRaw = (lat, lon) => {
-    return reverseGeolocation(lat, lon, 'raw');
+/**
+ * Get the features of the continents with their (simplified) geometries
+ */
+const getTileContinents = (simplified) => {
+    return continents.map(continent => {
+        const geojson = getContinentGeoJSONByCode(continent.continent_code, simplified);
+        if(!geojson) return null;
+        return { type: 'Feature', properties: { continent_code: continent.continent_code }, geometry: geojson.geometry };
+    }).filter(Boolean);
 };
 
-const lookUpGeoJSON = (lat, lon) => {
-    return reverseGeolocation(lat, lon, 'geojson');
+/**
+ * Get a Mapbox Vector Tile with the boundaries of the continents, countries, regions and states,
+ * in the layers continents, countries, regions and states. The properties of the features are
+ * the lookUp codes of each level, and the geometries are simplified on every zoom
+ * @param z number zoom (0 to 14)
+ * @param x number column of the tile (XYZ scheme)
+ * @param y number row of the tile (XYZ scheme)
+ * @return Buffer (protobuf) or null if the tile is empty or the coordinates are wrong
+ */
+const getTile = (z, x, y, options = {}) => {
+    if(!isValidTile(z, x, y)) return fail(new GeojsonPlacesError(`Wrong tile: ${z}/${x}/${y}`), options);
+    if(!tileLayers) {
+        tileLayers = {
+            simplifiedContinents: createLayerIndex(getTileContinents(true)),
+            continents: createLayerIndex(getTileContinents(false)),
+            countries: createLayerIndex(getTileFeatures('country')),
+            regions: createLayerIndex(getTileFeatures('region')),
+            states: createLayerIndex(admin1.features.map(feature => ({
+                type: 'Feature',
+                properties: getLevelProperties(feature, 'state', {}),
+                geometry: feature.geometry
+            })))
+        };
+    }
+    return encodeTile({
+        continents: (z <= SIMPLIFIED_TILE_MAX_ZOOM ? tileLayers.simplifiedContinents : tileLayers.continents).getTile(z, x, y),
+        countries: tileLayers.countries.getTile(z, x, y),
+        regions: tileLayers.regions.getTile(z, x, y),
+        states: tileLayers.states.getTile(z, x, y)
+    });
 };
 
-const getContinentGeoJSONByCode = (continent_code, simplified = false) => {
-    try {
-        const filePath = `/continents/${continent_code}${simplified ? '-simplified' : ''}.json`;
-        const continent = fs.readFileSync(path.join(dataPath, filePath));
-        return JSON.parse(continent);
-    } catch(e) {
-        // console.error(e);
-        return null;
+// Polygons of every continent, country grouping, country, region and state already checked
+const subsets = new Map();
+
+/**
+ * Checks if a point is contained in the states accepted by the filter, the subset of
+ * polygons is computed the first time the code is checked
+ * @param kind string kind of code (continent, country_grouping, country, region or state)
+ * @param code string code of the place
+ * @param filter function accepting the admin1 features of the place, or null for an unknown code
+ * @param options object { strict }
+ * @return boolean, false for unknown codes (UnknownCodeError in strict mode) or wrong coordinates
+ */
+const isPointInSubset = (lat, lon, kind, code, filter, options) => {
+    if(!filter) {
+        if(isStrict(options)) throw new UnknownCodeError(kind, code);
+        return false;
     }
+    if(typeof lat !== 'number' || typeof lon !== 'number') return false;
+    const key = `${kind}:${code}`;
+    if(!subsets.has(key)) subsets.set(key, createSubset(admin1Index, filter));
+    return subsetContains(admin1Index, subsets.get(key), [normalizeLongitude(lon), lat]);
 };
 
-const getCountryGeoJSONByAlpha2 = (alpha2) => {
-    try {
-        const country = fs.readFileSync(path.join(dataPath, `/countries/${alpha2}.json`));
-        return JSON.parse(country);
-    } catch(e) {
-        // console.error(e);
-        return null;
+const isPointInContinent = (lat, lon, continent_code, options = {}) => {
+    const continent = continents.find(item => item.continent_code === continent_code);
+    const filter = continent && continent.countries ? f => continent.countries.includes(f.properties.iso_a2) : null;
+    return isPointInSubset(lat, lon, 'continent', continent_code, filter, options);
+};
+
+const isPointInCountryGrouping = (lat, lon, grouping_code, options = {}) => {
+    const countryGrouping = countryGroupings.find(item => item.grouping_code === grouping_code);
+    const filter = countryGrouping && countryGrouping.countries ? f => countryGrouping.countries.includes(f.properties.iso_a2) : null;
+    return isPointInSubset(lat, lon, 'country_grouping', grouping_code, filter, options);
+};
+
+const isPointInCountry = (lat, lon, alpha2, options = {}) => {
+    const filter = isValidCountryAlpha2(alpha2) ? f => f.properties.iso_a2 === alpha2 : null;
+    return isPointInSubset(lat, lon, 'country', alpha2, filter, options);
+};
+
+const isPointInRegion = (lat, lon, region_code, options = {}) => {
+    const filter = isValidRegionCode(region_code) ? f => f.properties.region_code === region_code : null;
+    return isPointInSubset(lat, lon, 'region', region_code, filter, options);
+};
+
+const isPointInState = (lat, lon, state_code, options = {}) => {
+    const filter = isValidStateCode(state_code) ? f => f.properties.iso_3166_2 === state_code : null;
+    return isPointInSubset(lat, lon, 'state', state_code, filter, options);
+};
+
+const getContinentGeoJSONByCode = (continent_code, simplified = false, options = {}) => {
+    if(isStrict(options) && !isValidContinentCode(continent_code)) {
+        throw new UnknownCodeError('continent', continent_code);
+    }
+    const suffix = getFileSuffix(simplified, options);
+    if(suffix === null) return null;
+    const filePath = `/continents/${continent_code}${suffix}.json`;
+    const geojson = getPlaceGeoJSON(filePath, () => readGeometryFile(filePath, 'continent', continent_code, suffix, options), options);
+    return formatGeoJSON(geojson, continent_code, options);
+};
+
+const getCountryGeoJSONByAlpha2 = (alpha2, options = {}) => {
+    if(isStrict(options) && !isValidCountryAlpha2(alpha2)) {
+        throw new UnknownCodeError('country', alpha2);
     }
+    const suffix = getFileSuffix(false, options);
+    if(suffix === null) return null;
+    const filePath = `/countries/${alpha2}${suffix}.json`;
+    const geojson = getPlaceGeoJSON(filePath, () => readGeometryFile(filePath, 'country', alpha2, suffix, options), options);
+    return formatGeoJSON(geojson, alpha2, options);
 };
 
-const getCountryGeoJSONByAlpha3 = (alpha3) => {
-    let alpha2 = countryAlpha3ToAlpha2(alpha3);
-    return getCountryGeoJSONByAlpha2(alpha2);
+const getCountryGeoJSONByAlpha3 = (alpha3, options = {}) => {
+    let alpha2 = countryAlpha3ToAlpha2(alpha3, options);
+    if(!alpha2) return null;
+    return getCountryGeoJSONByAlpha2(alpha2, options);
 };
 
-const getCountryGroupingGeoJSONByCode = (grouping_code, simplified = false) => {
-    try {
-        const filePath = `/country-groupings/${grouping_code}${simplified ? '-simplified' : ''}.json`;
-        const countryGrouping = fs.readFileSync(path.join(dataPath, filePath));
-        return JSON.parse(countryGrouping);
-    } catch(e) {
-        // console.error(e);
-        return null;
+const getCountryGroupingGeoJSONByCode = (grouping_code, simplified = false, options = {}) => {
+    if(isStrict(options) && !isValidCountryGroupingCode(grouping_code)) {
+        throw new UnknownCodeError('country_grouping', grouping_code);
     }
+    const suffix = getFileSuffix(simplified, options);
+    if(suffix === null) return null;
+    const filePath = `/country-groupings/${grouping_code}${suffix}.json`;
+    const geojson = getPlaceGeoJSON(filePath, () => readGeometryFile(filePath, 'country_grouping', grouping_code, suffix, options), options);
+    return formatGeoJSON(geojson, grouping_code, options);
 };
 
-const getRegionGeoJSONByCode = (region_code) => {
-    try {
-        const region = fs.readFileSync(path.join(dataPath, `/regions/${region_code}.json`));
-        return JSON.parse(region);
-    } catch(e) {
-        // console.error(e);
-        return null;
+const getRegionGeoJSONByCode = (region_code, options = {}) => {
+    if(isStrict(options) && !isValidRegionCode(region_code)) {
+        throw new UnknownCodeError('region', region_code);
     }
+    const suffix = getFileSuffix(false, options);
+    if(suffix === null) return null;
+    const filePath = `/regions/${region_code}${suffix}.json`;
+    const geojson = getPlaceGeoJSON(filePath, () => readGeometryFile(filePath, 'region', region_code, suffix, options), options);
+    return formatGeoJSON(geojson, region_code, options);
 };
 
-const getStateGeoJSONByCode = (state_code) => {
+const getStateGeoJSONByCode = (state_code, options = {}) => {
     const state = admin1.features.find(f => f.properties.iso_3166_2 === state_code);
     if(state) {
-        let _state = clone(state);
-        _state.properties = {
-            country_a2: state.properties.iso_a2,
-            region_code: state.properties.region_code,
-            state_code: state_code
-        };
-        return _state;
+        const geojson = getPlaceGeoJSON(`state:${state_code}:${options.resolution || 'full'}`, () => {
+            const geometry = getStateGeometry(state, options);
+            if(!geometry) return null;
+            let _state = clone(Object.assign({}, state, { geometry }));
+            _state.properties = {
+                country_a2: state.properties.iso_a2,
+                region_code: state.properties.region_code,
+                state_code: state_code
+            };
+            return _state;
+        }, options);
+        return formatGeoJSON(geojson, state_code, options);
     } else {
-        return null;
+        return fail(new UnknownCodeError('state', state_code), options);
     }
 };
 
+// Levels of the metrics precomputed by the build
+const METRICS_LEVELS = ['continent', 'country_grouping', 'country', 'region', 'state'];
+
+// Metrics of every place, loaded the first time they're needed
+let metrics = null;
+
+/**
+ * Get a metric precomputed by the build (see generateMetrics in build.js) of a place
+ * @param level string continent, country_grouping, country, region or state
+ * @param key string metric or null for all of them
+ * @return the metric or null if the code is unknown or the data file doesn't exist or doesn't have the level
+ */
+const getPlaceMetric = (code, level, key, options = {}) => {
+    if(!METRICS_LEVELS.includes(level)) return fail(new GeojsonPlacesError(`Unknown level: ${level}`), options);
+    if(!metrics) metrics = readDataFile('/metrics/metrics.json', options);
+    if(!metrics) return null;
+    // A data file built by an older version without the level
+    if(!metrics[level]) return fail(new DataFileMissingError(path.join(dataPath, '/metrics/metrics.json')), options);
+    const item = metrics[level][code];
+    if(!item) return fail(new UnknownCodeError(level, code), options);
+    return clone(key ? item[key] : item);
+};
+
+/**
+ * Get the bounding box of a place, minX is greater than maxX when it crosses the antimeridian
+ * @return array [minX, minY, maxX, maxY]
+ */
+const getBoundingBox = (code, level = 'country', options = {}) => {
+    return getPlaceMetric(code, level, 'bbox', options);
+};
+
+/**
+ * Get the area-weighted centroid of a place (it can be outside the place)
+ * @return array [lng, lat]
+ */
+const getCentroid = (code, level = 'country', options = {}) => {
+    return getPlaceMetric(code, level, 'centroid', options);
+};
+
+/**
+ * Get the label point of a place, the pole of inaccessibility of its largest polygon
+ * (always inside the place)
+ * @return array [lng, lat]
+ */
+const getLabelPoint = (code, level = 'country', options = {}) => {
+    return getPlaceMetric(code, level, 'label_point', options);
+};
+
+/**
+ * Get the metrics of a place: area_km2, perimeter_km, coastline_km (length of the
+ * boundary not shared with other states), bbox, centroid and label_point
+ * @return object
+ */
+const getMetrics = (code, level = 'country', options = {}) => {
+    return getPlaceMetric(code, level, null, options);
+};
+
+// Adjacency graph of the countries, regions and states, loaded the first time it's needed
+let neighbours = null;
+
+/**
+ * Get the neighbours of a place from the adjacency graph generated by the build
+ * (see generateNeighbours in build.js), sorted by the length of the shared border
+ * @param level string country, region or state
+ * @return array of [code, border_km] or null if the data file doesn't exist or doesn't have the level
+ */
+const getNeighbours = (code, level, options = {}) => {
+    if(!neighbours) neighbours = readDataFile('/neighbours/neighbours.json', options);
+    if(!neighbours) return null;
+    // A data file built by an older version without the level
+    if(!neighbours[level]) return fail(new DataFileMissingError(path.join(dataPath, '/neighbours/neighbours.json')), options);
+    const items = neighbours[level][code] || {};
+    return Object.keys(items).map(key => [key, items[key]]).sort((a, b) => b[1] - a[1]);
+};
+
+/**
+ * Get the countries bordering a country, sorted by the length of the shared border
+ * @return array of { country_a2, country_a3, country_name, border_km }
+ */
+const getNeighbouringCountries = (alpha2, locale = null, options = {}) => {
+    if(!countriesByAlpha2.has(alpha2)) return fail(new UnknownCodeError('country', alpha2), options);
+    const items = getNeighbours(alpha2, 'country', options);
+    if(!items) return null;
+    return items.filter(([code]) => countriesByAlpha2.has(code)).map(([code, border_km]) => {
+        const country = countriesByAlpha2.get(code);
+        return {
+            country_a2: code,
+            country_a3: country.country_a3,
+            country_name: getLocalizedName(country, locale, 'country_name'),
+            border_km
+        };
+    });
+};
+
+/**
+ * Get the regions bordering a region (also across the country borders), sorted by the length of the shared border
+ * @return array of { country_a2, region_code, region_name, border_km }
+ */
+const getNeighbouringRegions = (region_code, locale = null, options = {}) => {
+    if(!regionsByCode.has(region_code)) return fail(new UnknownCodeError('region', region_code), options);
+    const items = getNeighbours(region_code, 'region', options);
+    if(!items) return null;
+    return items.filter(([code]) => regionsByCode.has(code)).map(([code, border_km]) => {
+        const region = regionsByCode.get(code);
+        return {
+            country_a2: region.country_a2,
+            region_code: code,
+            region_name: getLocalizedName(region, locale, 'region_name'),
+            border_km
+        };
+    });
+};
+
+/**
+ * Get the states bordering a state (also across the region and country borders), sorted by the length of the shared border
+ * @return array of { country_a2, region_code, state_code, state_name, border_km }
+ */
+const getNeighbouringStates = (state_code, locale = null, options = {}) => {
+    if(!statesByCode.has(state_code)) return fail(new UnknownCodeError('state', state_code), options);
+    const items = getNeighbours(state_code, 'state', options);
+    if(!items) return null;
+    return items.filter(([code]) => statesByCode.has(code)).map(([code, border_km]) => {
+        const feature = admin1.features.find(f => f.properties.iso_3166_2 === code);
+        return {
+            country_a2: feature.properties.iso_a2,
+            region_code: feature.properties.region_code,
+            state_code: code,
+            state_name: getLocalizedName(statesByCode.get(code), locale, 'state_name'),
+            border_km
+        };
+    });
+};
+
 const getContinents = (locale = null) => {
     let _continents = clone(continents);
     translateNames(_continents, locale, 'continent_name');
     return _continents;
 };
 
-const getContinentByCode = (continent_code, locale = null) => {
+const getContinentByCode = (continent_code, locale = null, options = {}) => {
     let continent = clone(continents.find(item => item.continent_code === continent_code));
+    if(!continent) return fail(new UnknownCodeError('continent', continent_code), options);
     translateName(continent, locale, 'continent_name');
     return continent;
 };
@@ -180,25 +1371,27 @@ const getCountries = (locale = null) => {
     return _countries;
 };
 
-const getCountryByAlpha2 = (alpha2, locale = null) => {
+const getCountryByAlpha2 = (alpha2, locale = null, options = {}) => {
     let country = clone(countries.find(item => item.country_a2 === alpha2));
+    if(!country) return fail(new UnknownCodeError('country', alpha2), options);
     translateName(country, locale, 'country_name');
     return country;
 };
 
-const getCountryByAlpha3 = (alpha3, locale = null) => {
-    let alpha2 = countryAlpha3ToAlpha2(alpha3);
-    return getCountryByAlpha2(alpha2, locale);
+const getCountryByAlpha3 = (alpha3, locale = null, options = {}) => {
+    let alpha2 = countryAlpha3ToAlpha2(alpha3, options);
+    if(!alpha2) return null;
+    return getCountryByAlpha2(alpha2, locale, options);
 };
 
-const countryAlpha2ToAlpha3 = (alpha2) => {
+const countryAlpha2ToAlpha3 = (alpha2, options = {}) => {
     const country = countries.find(item => item.country_a2 === alpha2);
-    return country ? country.country_a3 : null;
+    return country ? country.country_a3 : fail(new UnknownCodeError('country', alpha2), options);
 };
 
-const countryAlpha3ToAlpha2 = (alpha3) => {
+const countryAlpha3ToAlpha2 = (alpha3, options = {}) => {
     const country = countries.find(item => item.country_a3 === alpha3);
-    return country ? country.country_a2 : null;
+    return country ? country.country_a2 : fail(new UnknownCodeError('country', alpha3), options);
 };
 
 const isValidCountryAlpha2 = (country_a2) => {
@@ -209,17 +1402,17 @@ const isValidCountryAlpha3 = (country_a3) => {
     return countries.find(item => item.country_a3 === country_a3) ? true : false;
 };
 
-const getCountriesByContinentCode = (continent_code, locale = null) => {
+const getCountriesByContinentCode = (continent_code, locale = null, options = {}) => {
     let continent = continents.find(item => item.continent_code === continent_code);
-    if(!continent || !continent.countries) return null;
+    if(!continent || !continent.countries) return fail(new UnknownCodeError('continent', continent_code), options);
     let _countries = clone(countries.filter(item => continent.countries.includes(item.country_a2)));
     translateNames(_countries, locale, 'country_name');
     return _countries;
 };
 
-const getCountriesByCountryGroupingCode = (grouping_code, locale = null) => {
+const getCountriesByCountryGroupingCode = (grouping_code, locale = null, options = {}) => {
     let countryGrouping = countryGroupings.find(item => item.grouping_code === grouping_code);
-    if(!countryGrouping || !countryGrouping.countries) return null;
+    if(!countryGrouping || !countryGrouping.countries) return fail(new UnknownCodeError('country_grouping', grouping_code), options);
     let _countries = clone(countries.filter(item => countryGrouping.countries.includes(item.country_a2)));
     translateNames(_countries, locale, 'country_name');
     return _countries;
@@ -232,8 +1425,9 @@ const getCountryGroupings = (locale = null) => {
     return _countryGroupings;
 };
 
-const getCountryGroupingByCode = (grouping_code, locale = null) => {
+const getCountryGroupingByCode = (grouping_code, locale = null, options = {}) => {
     let countryGrouping = clone(countryGroupings.find(item => item.grouping_code === grouping_code));
+    if(!countryGrouping) return fail(new UnknownCodeError('country_grouping', grouping_code), options);
     translateName(countryGrouping, locale, 'grouping_name');
     return countryGrouping;
 };
@@ -256,21 +1450,23 @@ const getRegionsAndStates = (locale = null) => {
     return _regions;
 };
 
-const getRegionsByCountryAlpha2 = (alpha2, locale = null) => {
+const getRegionsByCountryAlpha2 = (alpha2, locale = null, options = {}) => {
+    if(!isValidCountryAlpha2(alpha2)) return fail(new UnknownCodeError('country', alpha2), options);
     let _regions = clone(regions.filter(item => item.country_a2 === alpha2));
     translateNames(_regions, locale, 'region_name');
     _regions.forEach(region => delete region.states);
     return _regions;
 };
 
-const getRegionsByCountryAlpha3 = (alpha3, locale = null) => {
-    let alpha2 = countryAlpha3ToAlpha2(alpha3);
-    return getRegionsByCountryAlpha2(alpha2, locale);
+const getRegionsByCountryAlpha3 = (alpha3, locale = null, options = {}) => {
+    let alpha2 = countryAlpha3ToAlpha2(alpha3, options);
+    if(!alpha2) return null;
+    return getRegionsByCountryAlpha2(alpha2, locale, options);
 };
 
-const getRegionByCode = (region_code, locale = null) => {
+const getRegionByCode = (region_code, locale = null, options = {}) => {
     let region = clone(regions.find(item => item.region_code === region_code));
-    if(!region) return region;
+    if(!region) return fail(new UnknownCodeError('region', region_code), options);
     translateName(region, locale, 'region_name');
     translateNames(region.states, locale, 'state_name');
     return region;
@@ -280,14 +1476,14 @@ const isValidRegionCode = (region_code) => {
     return regions.find(item => item.region_code === region_code) ? true : false;
 };
 
-const getStatesByRegionCode = (region_code, locale = null) => {
+const getStatesByRegionCode = (region_code, locale = null, options = {}) => {
     let region = clone(regions.find(item => item.region_code === region_code));
-    if(!region) return region;
+    if(!region) return fail(new UnknownCodeError('region', region_code), options);
     translateNames(region.states, locale, 'state_name');
     return region.states;
 };
 
-const getStateByCode = (state_code, locale = null) => {
+const getStateByCode = (state_code, locale = null, options = {}) => {
     let found;
     for(let i = 0; i < regions.length; i++) {
         const region = regions[i];
@@ -296,11 +1492,9 @@ const getStateByCode = (state_code, locale = null) => {
             if(found) break;
         }
     }
-    let state;
-    if(found) {
-        state = clone(found);
-        translateName(state, locale, 'state_name');
-    }
+    if(!found) return fail(new UnknownCodeError('state', state_code), options);
+    let state = clone(found);
+    translateName(state, locale, 'state_name');
     return state;
 };
 
@@ -317,15 +1511,42 @@ const isValidStateCode = (state_code) => {
 };
 
 module.exports = {
+    configure,
+    GeojsonPlacesError,
+    InvalidCoordinatesError,
+    UnknownCodeError,
+    DataFileMissingError,
     lookUp,
     lookUpRaw,
     lookUpGeoJSON,
+    lookUpMany,
+    lookUpAll,
+    traceLineString,
+    getDistanceToBorder,
+    getPlacesIntersecting,
+    getPlacesWithinRadius,
+    annotateFeatureCollection,
+    aggregatePoints,
+    randomPointsIn,
+    getTile,
+    isPointInContinent,
+    isPointInCountryGrouping,
+    isPointInCountry,
+    isPointInRegion,
+    isPointInState,
     getContinentGeoJSONByCode,
     getCountryGeoJSONByAlpha2,
     getCountryGeoJSONByAlpha3,
     getCountryGroupingGeoJSONByCode,
     getRegionGeoJSONByCode,
     getStateGeoJSONByCode,
+    getBoundingBox,
+    getCentroid,
+    getLabelPoint,
+    getMetrics,
+    getNeighbouringCountries,
+    getNeighbouringRegions,
+    getNeighbouringStates,
     getContinents,
     getContinentByCode,
     isValidContinentCode,
@@ -349,5 +1570,6 @@ module.exports = {
     isValidRegionCode,
     getStatesByRegionCode,
     getStateByCode,
-    isValidStateCode
+    isValidStateCode,
+    parseCoordinates
 };
@@ -0,0 +1,119 @@
+const turfIntersect = require('@turf/intersect').default;
+const turfArea = require('@turf/area').default;
+const { getBBox } = require('./utils');
+const { searchParts, getPolygons, pointInRings } = require('./feature-index');
+const { segmentIntersection } = require('./geometry');
+
+const isBBox = (input) => {
+    return input instanceof Array && input.length === 4 && input.every(value => typeof value === 'number' && isFinite(value));
+};
+
+const bboxPolygon = (minX, minY, maxX, maxY) => {
+    return [[[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]]];
+};
+
+/**
+ * Get the polygons of an area, a bbox crossing the antimeridian (minX > maxX)
+ * is split in two polygons
+ * @param input Polygon or MultiPolygon (geometry or feature) or bbox [minX, minY, maxX, maxY]
+ * @return array of polygons (arrays of rings) or null if the input is not an area
+ */
+const getAreaPolygons = (input) => {
+    if(isBBox(input)) {
+        const [minX, minY, maxX, maxY] = input;
+        if(minY > maxY) return null;
+        if(minX > maxX) return [bboxPolygon(minX, minY, 180, maxY), bboxPolygon(-180, minY, maxX, maxY)];
+        return [bboxPolygon(minX, minY, maxX, maxY)];
+    }
+    if(input && input.type === 'Feature') input = input.geometry;
+    const polygons = getPolygons(input).filter(rings => rings.length > 0);
+    if(polygons.length === 0) return null;
+    const valid = polygons.every(rings => rings.every(ring => ring instanceof Array && ring.length >= 4 &&
+        ring.every(c => c instanceof Array && typeof c[0] === 'number' && typeof c[1] === 'number')));
+    return valid ? polygons : null;
+};
+
+/**
+ * Get the segments of the rings intersecting the box
+ * @return array of [a, b]
+ */
+const getSegmentsInBox = (rings, box) => {
+    const segments = [];
+    for(const ring of rings) {
+        for(let i = 1; i < ring.length; i++) {
+            const a = ring[i - 1];
+            const b = ring[i];
+            if(Math.max(a[0], b[0]) < box[0] || Math.min(a[0], b[0]) > box[2] ||
+                Math.max(a[1], b[1]) < box[1] || Math.min(a[1], b[1]) > box[3]) continue;
+            segments.push([a, b]);
+        }
+    }
+    return segments;
+};
+
+/**
+ * Checks if two polygons intersect, either their boundaries cross (or touch)
+ * or one of them is inside the other
+ * @param a array of rings
+ * @param b array of rings
+ * @return boolean
+ */
+const polygonsIntersect = (a, b, boxA = getBBox(a[0]), boxB = getBBox(b[0])) => {
+    if(boxA[0] > boxB[2] || boxA[2] < boxB[0] || boxA[1] > boxB[3] || boxA[3] < boxB[1]) return false;
+    const segmentsA = getSegmentsInBox(a, boxB);
+    const segmentsB = getSegmentsInBox(b, boxA);
+    for(const [p, q] of segmentsA) {
+        for(const [r, s] of segmentsB) {
+            if(Math.max(p[0], q[0]) < Math.min(r[0], s[0]) || Math.min(p[0], q[0]) > Math.max(r[0], s[0]) ||
+                Math.max(p[1], q[1]) < Math.min(r[1], s[1]) || Math.min(p[1], q[1]) > Math.max(r[1], s[1])) continue;
+            if(segmentIntersection(p, q, r, s) !== null) return true;
+        }
+    }
+    return pointInRings(b, a[0][0]) || pointInRings(a, b[0][0]);
+};
+
+/**
+ * Get the positions of the features intersecting any of the polygons
+ * @param index object built with createFeatureIndex
+ * @param polygons array of polygons (see getAreaPolygons)
+ * @return array of feature positions in the order of the features array
+ */
+const findIntersectingFeatures = (index, polygons) => {
+    const result = [];
+    for(const rings of polygons) {
+        const box = getBBox(rings[0]);
+        for(const partId of searchParts(index, ...box)) {
+            const part = index.parts[partId];
+            if(result.includes(part.featureIndex)) continue;
+            if(polygonsIntersect(part.rings, rings, part.box, box)) result.push(part.featureIndex);
+        }
+    }
+    return result.sort((a, b) => a - b);
+};
+
+/**
+ * Clip a geometry by the polygons of an area
+ * @param geometry Polygon or MultiPolygon
+ * @param polygons array of polygons (see getAreaPolygons)
+ * @return object Polygon or MultiPolygon geometry, or null if they only touch
+ */
+const clipGeometry = (geometry, polygons) => {
+    const clipped = turfIntersect(geometry, { type: 'MultiPolygon', coordinates: polygons });
+    return clipped ? clipped.geometry : null;
+};
+
+/**
+ * Get the area of a geometry
+ * @return number in square meters
+ */
+const getArea = (geometry) => {
+    return geometry ? turfArea(geometry) : 0;
+};
+
+module.exports = {
+    getAreaPolygons,
+    polygonsIntersect,
+    findIntersectingFeatures,
+    clipGeometry,
+    getArea
+};
@@ -0,0 +1,79 @@
+const { getBBox } = require('./utils');
+const { getPolygons, pointInRings } = require('./feature-index');
+const { getArea } = require('./intersect');
+const { toRadians, toDegrees } = require('./geometry');
+
+/**
+ * Get a 32 bits hash of a string (FNV-1a)
+ */
+const hashString = (text) => {
+    let hash = 2166136261;
+    for(let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Create a pseudorandom number generator (mulberry32), the same seed always
+ * gives the same sequence
+ * @param seed integer or string, without seed Math.random is returned
+ * @return function () => number in [0, 1)
+ */
+const createRandom = (seed) => {
+    if(seed === undefined || seed === null) return Math.random;
+    let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Prepare the polygons of a geometry to sample random points, every polygon
+ * is weighted by its area on the sphere
+ * @param geometry Polygon or MultiPolygon
+ * @return object { parts, total } or null if the geometry has no area
+ */
+const createSampler = (geometry) => {
+    const parts = getPolygons(geometry).filter(rings => rings.length > 0).map(rings => ({
+        rings,
+        box: getBBox(rings[0]),
+        weight: getArea({ type: 'Polygon', coordinates: rings })
+    })).filter(part => part.weight > 0);
+    const total = parts.reduce((sum, part) => sum + part.weight, 0);
+    return total > 0 ? { parts, total } : null;
+};
+
+/**
+ * Get a uniformly distributed random point in the polygons of a sampler: a polygon is chosen
+ * by its area and points of its bounding box are drawn with an equal-area projection (uniform
+ * in the sine of the latitude) until one falls inside the polygon
+ * @param sampler object built with createSampler
+ * @param random function () => number in [0, 1) (see createRandom)
+ * @param maxAttempts number of points drawn before giving up
+ * @return array [lng, lat] or null if no point fell inside the polygon
+ */
+const samplePoint = (sampler, random, maxAttempts = 1000) => {
+    let value = random() * sampler.total;
+    const part = sampler.parts.find(item => (value -= item.weight) < 0) || sampler.parts[sampler.parts.length - 1];
+    const [minX, minY, maxX, maxY] = part.box;
+    const minSin = Math.sin(toRadians(minY));
+    const maxSin = Math.sin(toRadians(maxY));
+    for(let i = 0; i < maxAttempts; i++) {
+        const point = [
+            minX + (maxX - minX) * random(),
+            toDegrees(Math.asin(minSin + (maxSin - minSin) * random()))
+        ];
+        if(pointInRings(part.rings, point)) return point;
+    }
+    return null;
+};
+
+module.exports = {
+    createRandom,
+    createSampler,
+    samplePoint
+};
@@ -0,0 +1,216 @@
+const turfSimplify = require('@turf/simplify').default;
+const topojsonServer = require('topojson-server');
+const topojsonClient = require('topojson-client');
+
+// Tolerance in degrees of the simplified continents and country groupings (-simplified.json files)
+const SIMPLIFIED_TOLERANCE = 0.01;
+
+// Tolerances in degrees of the resolution tiers generated by the build, equivalent to the
+// scales of Natural Earth (1:10m, 1:50m and 1:110m), the full resolution is not simplified
+const RESOLUTIONS = {
+    '10m': 0.01,
+    '50m': 0.05,
+    '110m': 0.11
+};
+
+/**
+ * Get the square distance from a position to the segment a-b on the plane of longitudes and latitudes
+ */
+const getSquareSegmentDistance = (position, a, b) => {
+    let x = a[0];
+    let y = a[1];
+    let dx = b[0] - x;
+    let dy = b[1] - y;
+    if(dx !== 0 || dy !== 0) {
+        const t = ((position[0] - x) * dx + (position[1] - y) * dy) / (dx * dx + dy * dy);
+        if(t > 1) {
+            x = b[0];
+            y = b[1];
+        } else if(t > 0) {
+            x += dx * t;
+            y += dy * t;
+        }
+    }
+    dx = position[0] - x;
+    dy = position[1] - y;
+    return dx * dx + dy * dy;
+};
+
+/**
+ * Simplify a line with the Douglas-Peucker algorithm, the first and the last positions are kept
+ * @param line array of positions
+ * @param tolerance number in degrees
+ * @return array of positions
+ */
+const simplifyLine = (line, tolerance) => {
+    if(line.length <= 2) return line.slice();
+    const sqTolerance = tolerance * tolerance;
+    const keep = line.map((position, i) => i === 0 || i === line.length - 1);
+    const stack = [[0, line.length - 1]];
+    while(stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+        for(let i = first + 1; i < last; i++) {
+            const distance = getSquareSegmentDistance(line[i], line[first], line[last]);
+            if(distance > maxDistance) {
+                index = i;
+                maxDistance = distance;
+            }
+        }
+        if(maxDistance > sqTolerance) {
+            keep[index] = true;
+            stack.push([first, index], [index, last]);
+        }
+    }
+    return line.filter((position, i) => keep[i]);
+};
+
+/**
+ * Simplify an arc of a topology, a closed arc (a whole ring) keeps at least 4 positions
+ * so the ring doesn't collapse
+ */
+const simplifyArc = (arc, tolerance) => {
+    const result = simplifyLine(arc, tolerance);
+    const closed = arc.length >= 4 && arc[0][0] === arc[arc.length - 1][0] && arc[0][1] === arc[arc.length - 1][1];
+    if(!closed || result.length >= 4) return result;
+    const third = Math.floor(arc.length / 3);
+    return [arc[0], arc[third], arc[third * 2], arc[arc.length - 1]];
+};
+
+/**
+ * Simplify the arcs of a topology, the shared boundaries are simplified once and the
+ * ends of the arcs (where the boundaries meet) are kept
+ * @param topology object TopoJSON topology without quantization
+ * @param tolerance number in degrees
+ * @return object new topology with the same objects
+ */
+const simplifyTopology = (topology, tolerance) => {
+    return Object.assign({}, topology, { arcs: topology.arcs.map(arc => simplifyArc(arc, tolerance)) });
+};
+
+/**
+ * Round the positions of a line or ring and remove the consecutive duplicates
+ * @param factor number 10 ^ decimals or null to keep the coordinates
+ * @param minLength number of positions of a valid line (2) or ring (4)
+ * @return array of positions or null if the line collapsed
+ */
+const cleanLine = (line, factor, minLength) => {
+    const result = [];
+    line.forEach(position => {
+        if(factor) position = position.map(value => Math.round(value * factor) / factor);
+        const previous = result[result.length - 1];
+        if(!previous || previous[0] !== position[0] || previous[1] !== position[1]) result.push(position);
+    });
+    return result.length >= minLength ? result : null;
+};
+
+// Area in square degrees (about 0.01 square meters) under which a ring is flat
+const FLAT_RING_AREA = 1e-12;
+
+/**
+ * Checks if a ring has no area (all its positions are on a line, up to the rounding errors)
+ */
+const isFlatRing = (ring) => {
+    let area = 0;
+    for(let i = 1; i < ring.length; i++) {
+        area += (ring[i - 1][0] - ring[0][0]) * (ring[i][1] - ring[0][1]) - (ring[i][0] - ring[0][0]) * (ring[i - 1][1] - ring[0][1]);
+    }
+    return Math.abs(area / 2) < FLAT_RING_AREA;
+};
+
+/**
+ * Round the positions of a polygon, the holes that collapse (to less than 4 positions
+ * or to a line) are removed
+ * @return array of rings or null if the outer ring collapsed
+ */
+const cleanPolygon = (rings, factor) => {
+    const result = [];
+    for(let i = 0; i < rings.length; i++) {
+        const ring = cleanLine(rings[i], factor, 4);
+        if(ring && !isFlatRing(ring)) {
+            result.push(ring);
+        } else if(i === 0) {
+            return null;
+        }
+    }
+    return result;
+};
+
+/**
+ * Round the positions of a geometry and remove the lines and polygons that collapsed
+ * @param factor number 10 ^ decimals or null to keep the coordinates
+ * @return new geometry
+ */
+const cleanGeometry = (geometry, factor) => {
+    if(!geometry) return geometry;
+    const round = (position) => factor ? position.map(value => Math.round(value * factor) / factor) : position;
+    const coordinates = geometry.coordinates;
+    switch(geometry.type) {
+    case 'Point':
+        return { type: geometry.type, coordinates: round(coordinates) };
+    case 'MultiPoint':
+        return { type: geometry.type, coordinates: coordinates.map(round) };
+    case 'LineString':
+        return { type: geometry.type, coordinates: cleanLine(coordinates, factor, 2) || [] };
+    case 'MultiLineString':
+        return { type: geometry.type, coordinates: coordinates.map(line => cleanLine(line, factor, 2)).filter(Boolean) };
+    case 'Polygon':
+        return { type: geometry.type, coordinates: cleanPolygon(coordinates, factor) || [] };
+    case 'MultiPolygon':
+        return { type: geometry.type, coordinates: coordinates.map(rings => cleanPolygon(rings, factor)).filter(Boolean) };
+    case 'GeometryCollection':
+        return { type: geometry.type, geometries: geometry.geometries.map(item => cleanGeometry(item, factor)) };
+    default:
+        return geometry;
+    }
+};
+
+/**
+ * Apply a function to the geometries of a Feature, a FeatureCollection or a geometry
+ * @return new GeoJSON object
+ */
+const mapGeometries = (geojson, callback) => {
+    if(geojson.type === 'FeatureCollection') {
+        return Object.assign({}, geojson, { features: geojson.features.map(feature => mapGeometries(feature, callback)) });
+    }
+    if(geojson.type === 'Feature') return Object.assign({}, geojson, { geometry: callback(geojson.geometry) });
+    return callback(geojson);
+};
+
+/**
+ * Simplify a GeoJSON object and/or round its coordinates
+ * @param geojson Feature, FeatureCollection or geometry
+ * @param options object { tolerance, precision, preserveTopology }
+ * tolerance: distance in degrees under which the positions are removed (Douglas-Peucker)
+ * preserveTopology: the boundaries shared by several polygons are simplified once (as arcs of a
+ * topology) and the positions where they meet are kept, so the polygons still fit together;
+ * otherwise every ring is simplified on its own by turf
+ * precision: number of decimals of the coordinates
+ * @return new GeoJSON object, the lines, rings and polygons that collapse are removed
+ */
+const simplifyGeoJSON = (geojson, options = {}) => {
+    let result = geojson;
+    if(options.tolerance > 0) {
+        if(options.preserveTopology === true) {
+            const topology = simplifyTopology(topojsonServer.topology({ geojson }), options.tolerance);
+            const decoded = topojsonClient.feature(topology, topology.objects.geojson);
+            result = geojson.type === 'Feature' || geojson.type === 'FeatureCollection' ? decoded : decoded.geometry;
+        } else {
+            // turf throws with the rings that collapsed (e.g. slivers of a quantized topology)
+            const cleaned = mapGeometries(geojson, geometry => cleanGeometry(geometry, null));
+            result = turfSimplify(cleaned, { tolerance: options.tolerance, highQuality: true, mutate: true });
+        }
+    }
+    const factor = options.precision !== undefined ? Math.pow(10, options.precision) : null;
+    return mapGeometries(result, geometry => cleanGeometry(geometry, factor));
+};
+
+module.exports = {
+    SIMPLIFIED_TOLERANCE,
+    RESOLUTIONS,
+    simplifyLine,
+    simplifyTopology,
+    cleanGeometry,
+    simplifyGeoJSON
+};
@@ -0,0 +1,110 @@
+/**
+ * Static packed Hilbert R-tree over a list of bounding boxes.
+ * Boxes are sorted by the Hilbert value of their centers and packed bottom-up
+ * into nodes of `nodeSize` children, so a search only visits the branches whose
+ * bounding box intersects the query.
+ */
+
+const HILBERT_MAX = 65535; // 16 bits per axis
+
+/**
+ * Get the Hilbert curve distance of the cell (x, y)
+ * @param x integer in [0, HILBERT_MAX]
+ * @param y integer in [0, HILBERT_MAX]
+ * @return number position along the curve
+ */
+const hilbert = (x, y) => {
+    let d = 0;
+    for(let s = (HILBERT_MAX + 1) / 2; s >= 1; s /= 2) {
+        const rx = (x & s) > 0 ? 1 : 0;
+        const ry = (y & s) > 0 ? 1 : 0;
+        d += s * s * ((3 * rx) ^ ry);
+        if(ry === 0) {
+            if(rx === 1) {
+                x = s - 1 - x;
+                y = s - 1 - y;
+            }
+            const t = x;
+            x = y;
+            y = t;
+        }
+    }
+    return d;
+};
+
+const extendBox = (box, other) => {
+    if(other[0] < box[0]) box[0] = other[0];
+    if(other[1] < box[1]) box[1] = other[1];
+    if(other[2] > box[2]) box[2] = other[2];
+    if(other[3] > box[3]) box[3] = other[3];
+};
+
+const intersectsBox = (box, minX, minY, maxX, maxY) => {
+    return box[0] <= maxX && box[1] <= maxY && box[2] >= minX && box[3] >= minY;
+};
+
+/**
+ * Build the index
+ * @param boxes array of [minX, minY, maxX, maxY], the position of each box is its id
+ * @param nodeSize number maximum children per node
+ * @return object index to be used with searchSpatialIndex
+ */
+const createSpatialIndex = (boxes, nodeSize = 16) => {
+    const extent = [Infinity, Infinity, -Infinity, -Infinity];
+    boxes.forEach(box => extendBox(extent, box));
+    const width = (extent[2] - extent[0]) || 1;
+    const height = (extent[3] - extent[1]) || 1;
+
+    const hilbertValues = boxes.map(box => hilbert(
+        Math.floor(HILBERT_MAX * ((box[0] + box[2]) / 2 - extent[0]) / width),
+        Math.floor(HILBERT_MAX * ((box[1] + box[3]) / 2 - extent[1]) / height)
+    ));
+    const ids = boxes.map((box, i) => i);
+    ids.sort((a, b) => hilbertValues[a] - hilbertValues[b]);
+
+    // Level 0 holds the boxes, every upper level groups the one below it
+    let level = ids.map(id => ({ box: boxes[id], id }));
+    const levels = [level];
+    while(level.length > 1) {
+        const parents = [];
+        for(let i = 0; i < level.length; i += nodeSize) {
+            const end = Math.min(i + nodeSize, level.length);
+            const box = [Infinity, Infinity, -Infinity, -Infinity];
+            for(let j = i; j < end; j++) extendBox(box, level[j].box);
+            parents.push({ box, start: i, end });
+        }
+        levels.push(parents);
+        level = parents;
+    }
+
+    return { levels, size: boxes.length };
+};
+
+/**
+ * Search the ids of the boxes intersecting the query box
+ * (pass the same coordinates twice to query a point)
+ * @return array of ids in ascending order
+ */
+const searchSpatialIndex = (index, minX, minY, maxX = minX, maxY = minY) => {
+    const result = [];
+    if(index.size === 0) return result;
+    const top = index.levels.length - 1;
+    const stack = [];
+    index.levels[top].forEach((node, i) => stack.push([top, i]));
+    while(stack.length > 0) {
+        const [depth, position] = stack.pop();
+        const node = index.levels[depth][position];
+        if(!intersectsBox(node.box, minX, minY, maxX, maxY)) continue;
+        if(depth === 0) {
+            result.push(node.id);
+        } else {
+            for(let i = node.start; i < node.end; i++) stack.push([depth - 1, i]);
+        }
+    }
+    return result.sort((a, b) => a - b);
+};
+
+module.exports = {
+    createSpatialIndex,
+    searchSpatialIndex
+};
@@ -0,0 +1,46 @@
+const geojsonvt = require('geojson-vt');
+const vtpbf = require('vt-pbf');
+
+// Highest zoom of the tiles, geojson-vt keeps every detail of the geometries from this zoom
+const TILE_MAX_ZOOM = 14;
+
+/**
+ * Create the tile index of a layer, the geometries are simplified on every zoom
+ * (geojson-vt removes the details smaller than 3 pixels of a 4096 pixels tile)
+ * @param features array of GeoJSON features
+ * @return object geojson-vt index
+ */
+const createLayerIndex = (features) => {
+    return geojsonvt({ type: 'FeatureCollection', features }, { maxZoom: TILE_MAX_ZOOM, indexMaxZoom: 4 });
+};
+
+/**
+ * Checks if z/x/y are the coordinates of a tile (XYZ scheme, the tile 0/0/0 covers the world)
+ * @return boolean
+ */
+const isValidTile = (z, x, y) => {
+    if(![z, x, y].every(Number.isInteger)) return false;
+    const size = Math.pow(2, z);
+    return z >= 0 && z <= TILE_MAX_ZOOM && x >= 0 && x < size && y >= 0 && y < size;
+};
+
+/**
+ * Encode the tiles of the layers as a Mapbox Vector Tile (version 2)
+ * @param tiles object layer name => geojson-vt tile (or null if the layer has no features in the tile)
+ * @return Buffer or null if every layer is empty
+ */
+const encodeTile = (tiles) => {
+    const layers = {};
+    Object.keys(tiles).forEach(name => {
+        if(tiles[name] && tiles[name].features.length > 0) layers[name] = tiles[name];
+    });
+    if(Object.keys(layers).length === 0) return null;
+    return Buffer.from(vtpbf.fromGeojsonVt(layers, { version: 2 }));
+};
+
+module.exports = {
+    TILE_MAX_ZOOM,
+    createLayerIndex,
+    isValidTile,
+    encodeTile
+};
@@ -0,0 +1,80 @@
+const { searchParts, findFeature } = require('./feature-index');
+const { segmentIntersection, haversineDistance } = require('./geometry');
+const { getBBox } = require('./utils');
+
+const interpolate = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+
+/**
+ * Get the positions along the segment a-b where it crosses the boundary of any feature
+ * @return array of t in [0, 1] sorted, including 0 and 1
+ */
+const getCrossings = (index, a, b) => {
+    const crossings = [0, 1];
+    const box = getBBox([a, b]);
+    for(const partId of searchParts(index, ...box)) {
+        for(const ring of index.parts[partId].rings) {
+            for(let i = 1; i < ring.length; i++) {
+                const c = ring[i - 1];
+                const d = ring[i];
+                // Skip the boundary segments out of the box of a-b
+                if(Math.max(c[0], d[0]) < box[0] || Math.min(c[0], d[0]) > box[2] ||
+                    Math.max(c[1], d[1]) < box[1] || Math.min(c[1], d[1]) > box[3]) continue;
+                const t = segmentIntersection(a, b, c, d);
+                if(t !== null) crossings.push(t);
+            }
+        }
+    }
+    return crossings.sort((x, y) => x - y).filter((t, i, arr) => i === 0 || t !== arr[i - 1]);
+};
+
+/**
+ * Split the segment a-b where it crosses the antimeridian, a segment is taken as crossing
+ * it when its longitudes are more than 180 degrees apart (the shortest way is across it)
+ * @return array of [a, b] segments
+ */
+const splitAtAntimeridian = (a, b) => {
+    if(Math.abs(b[0] - a[0]) <= 180) return [[a, b]];
+    const side = a[0] > 0 ? 180 : -180;
+    const bLng = b[0] + 2 * side;
+    const lat = a[1] + (b[1] - a[1]) * (side - a[0]) / (bLng - a[0]);
+    return [[a, [side, lat]], [[-side, lat], b]];
+};
+
+/**
+ * Split a line into the stretches contained in each feature, the stretches are split
+ * at the exact crossing with the boundaries and each one is assigned to the feature
+ * containing its middle point (as in reverse geocoding), the segments crossing the
+ * antimeridian are split there
+ * @param index object built with createFeatureIndex
+ * @param coordinates array of [lng, lat]
+ * @return array of { featureIndex, entry, exit, distance } in the order of the line,
+ * featureIndex is -1 for the stretches out of every feature, distance in meters
+ */
+const traceFeatures = (index, coordinates) => {
+    const stretches = [];
+    const segments = [];
+    for(let i = 1; i < coordinates.length; i++) {
+        segments.push(...splitAtAntimeridian(coordinates[i - 1], coordinates[i]));
+    }
+    for(const [a, b] of segments) {
+        const crossings = getCrossings(index, a, b);
+        for(let j = 1; j < crossings.length; j++) {
+            const entry = interpolate(a, b, crossings[j - 1]);
+            const exit = interpolate(a, b, crossings[j]);
+            const featureIndex = findFeature(index, interpolate(a, b, (crossings[j - 1] + crossings[j]) / 2));
+            const distance = haversineDistance(entry, exit);
+            const last = stretches[stretches.length - 1];
+            if(last && last.featureIndex === featureIndex) {
+                last.exit = exit;
+                last.distance += distance;
+            } else {
+                stretches.push({ featureIndex, entry, exit, distance });
+            }
+        }
+    }
+    return stretches;
+};
+
+module.exports = {
+    traceFeatures
+};
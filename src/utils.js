@@ -20,6 +20,24 @@ const pointInPolygon = (polygon, point) => {
     return c;
 };
 
+/**
+ * Get the bounding box of a position array of any depth
+ * @param coords array of positions, rings or polygons
+ * @return array [minX, minY, maxX, maxY]
+ */
+const getBBox = (coords, bbox = [Infinity, Infinity, -Infinity, -Infinity]) => {
+    if(!(coords instanceof Array)) return bbox;
+    if(coords.length > 0 && typeof coords[0] === 'number') {
+        if(coords[0] < bbox[0]) bbox[0] = coords[0];
+        if(coords[1] < bbox[1]) bbox[1] = coords[1];
+        if(coords[0] > bbox[2]) bbox[2] = coords[0];
+        if(coords[1] > bbox[3]) bbox[3] = coords[1];
+    } else {
+        coords.forEach(c => getBBox(c, bbox));
+    }
+    return bbox;
+};
+
 const cleanLocale = (locale) => {
     let result = '';
     if(locale !== null && typeof locale === 'string') {
@@ -48,6 +66,16 @@ const translateName = (item, locale, property) => {
     delete item.i18n;
 };
 
+/**
+ * Get the name of an item translated, without modifying the item
+ */
+const getLocalizedName = (item, locale, property) => {
+    if(!item) return undefined;
+    let _item = { [property]: item[property], i18n: item.i18n };
+    translateName(_item, locale, property);
+    return _item[property];
+};
+
 const sortObjectArray = (arr, ignoreCase = false, property = null) => {
     arr.sort(function(a,b) {
         let x = a[property] ? a[property] : a[Object.keys(a)[0]];
@@ -110,9 +138,11 @@ const getStateAlpha2 = (props) => {
 
 module.exports = {
     pointInPolygon,
+    getBBox,
     cleanLocale,
     translateNames,
     translateName,
+    getLocalizedName,
     sortObjectArray,
     sortObject,
     roundCoordinates,
@@ -1,14 +1,40 @@
 const test = require('tape');
 const {
+    configure,
+    GeojsonPlacesError,
+    InvalidCoordinatesError,
+    UnknownCodeError,
     lookUp,
     lookUpRaw,
     lookUpGeoJSON,
+    lookUpMany,
+    lookUpAll,
+    traceLineString,
+    getDistanceToBorder,
+    getPlacesIntersecting,
+    getPlacesWithinRadius,
+    annotateFeatureCollection,
+    aggregatePoints,
+    randomPointsIn,
+    getTile,
+    isPointInContinent,
+    isPointInCountryGrouping,
+    isPointInCountry,
+    isPointInRegion,
+    isPointInState,
     getContinentGeoJSONByCode,
     getCountryGeoJSONByAlpha2,
     getCountryGeoJSONByAlpha3,
     getCountryGroupingGeoJSONByCode,
     getRegionGeoJSONByCode,
     getStateGeoJSONByCode,
+    getBoundingBox,
+    getCentroid,
+    getLabelPoint,
+    getMetrics,
+    getNeighbouringCountries,
+    getNeighbouringRegions,
+    getNeighbouringStates,
     getContinents,
     getContinentByCode,
     isValidContinentCode,
@@ -30,7 +56,8 @@ const {
     isValidRegionCode,
     getStatesByRegionCode,
     getStateByCode,
-    isValidStateCode
+    isValidStateCode,
+    parseCoordinates
 } = require('../src');
 
 test('Validate lookUp (Valladolid, Spain)', function(t) {
@@ -55,6 +82,15 @@ test('Validate lookUp (Madrid, Spain)', function(t) {
     t.end();
 });
 
+test('Validate lookUp (Monaco)', function(t) {
+    const result = lookUp(43.73828, 7.42542);
+    // console.log('lookUp (Monaco)', result);
+    t.equal(result.continent_code, 'EU', 'result.continent_code should be strictly equal to "EU"');
+    t.equal(result.country_a2, 'MC', 'result.country_a2 should be strictly equal to "MC"');
+    t.equal(result.region_code, 'MC-MC', 'result.region_code should be strictly equal to "MC-MC"');
+    t.end();
+});
+
 test('Validate lookUp null (water)', function(t) {
     const result = lookUp(0.0, 0.0);
     // console.log('lookUp null (water)', result);
@@ -62,6 +98,109 @@ test('Validate lookUp null (water)', function(t) {
     t.end();
 });
 
+test('Validate lookUp nearest (offshore Valencia, Spain)', function(t) {
+    const result = lookUp(39.47, -0.30, { maxDistanceKm: 5 });
+    // console.log('lookUp nearest (offshore Valencia, Spain)', result);
+    t.equal(lookUp(39.47, -0.30), null, 'result without maxDistanceKm should be strictly equal to null');
+    t.equal(result.country_a2, 'ES', 'result.country_a2 should be strictly equal to "ES"');
+    t.equal(result.region_code, 'ES-VC', 'result.region_code should be strictly equal to "ES-VC"');
+    t.equal(result.nearest, true, 'result.nearest should be strictly equal to true');
+    t.ok(result.distance_km > 0 && result.distance_km <= 5, 'result.distance_km should be between 0 and 5');
+    t.end();
+});
+
+test('Validate lookUp nearest null (water)', function(t) {
+    const result = lookUp(0.0, 0.0, { maxDistanceKm: 5 });
+    // console.log('lookUp nearest null (water)', result);
+    t.equal(result, null, 'result should be strictly equal to null');
+    t.end();
+});
+
+test('Validate lookUp onBorder (Irun, Spain - Hendaye, France)', function(t) {
+    const [lng, lat] = traceLineString([[-1.8, 43.35], [-1.7, 43.38]])[0].exit;
+    const result = lookUp(lat, lng);
+    // console.log('lookUp onBorder (Irun, Spain - Hendaye, France)', result);
+    t.equal(result.state_code, 'ES-SS', 'result.state_code should be strictly equal to "ES-SS" (lowest state code)');
+    t.equal(result.onBorder, true, 'result.onBorder should be strictly equal to true');
+    t.deepEqual(result.border_state_codes, ['ES-SS', 'FR-64'], 'result.border_state_codes should be deeply equal to ["ES-SS", "FR-64"]');
+    t.deepEqual(lookUpMany([[lat, lng]])[0], result, 'lookUpMany result should be deeply equal to the lookUp result');
+    t.equal(lookUp(lat, lng + 0.0001).onBorder, undefined, 'result 8 meters away should not be on the border');
+    t.equal(lookUp(lat, lng + 0.0001, { borderEpsilon: 20 }).onBorder, true, 'result 8 meters away with borderEpsilon 20 should be on the border');
+    t.end();
+});
+
+test('Validate lookUp on the water close to the coastline (Valencia, Spain)', function(t) {
+    const result = lookUp(39.478, -0.325, { borderEpsilon: 2000 });
+    // console.log('lookUp on the water close to the coastline (Valencia, Spain)', result);
+    t.equal(result, null, 'result should be strictly equal to null');
+    t.deepEqual(lookUpMany([[39.478, -0.325]], { borderEpsilon: 2000 }), [null], 'lookUpMany result should be deeply equal to [null]');
+    t.equal(lookUp(39.478, -0.325, { borderEpsilon: 2000, maxDistanceKm: 5 }).nearest, true, 'result with maxDistanceKm should be the nearest state');
+    t.end();
+});
+
+test('Validate lookUp coordinates formats (Valladolid, Spain)', function(t) {
+    const inputs = [
+        [{ type: 'Point', coordinates: [-4.728602, 41.652349] }],
+        [[-4.728602, 41.652349]],
+        [[41.652349, -4.728602], { axisOrder: 'latlng' }],
+        ['41.652349,-4.728602'],
+        ['41°39\'08"N 4°43\'43"W'],
+        ['ezksuqsdx']
+    ];
+    inputs.forEach(args => {
+        const result = lookUp(...args);
+        // console.log('lookUp coordinates formats (Valladolid, Spain)', args, result);
+        t.equal(result.state_code, 'ES-VA', `result.state_code of ${JSON.stringify(args)} should be strictly equal to "ES-VA"`);
+    });
+    t.end();
+});
+
+test('Validate lookUp wrong coordinates', function(t) {
+    // console.log('lookUp wrong coordinates');
+    t.equal(lookUp(100, 0), null, 'result (latitude out of range) should be strictly equal to null');
+    t.equal(lookUp('200,41.6'), null, 'result (latitude out of range as string) should be strictly equal to null');
+    t.equal(lookUp('foo bar'), null, 'result (wrong format) should be strictly equal to null');
+    t.equal(lookUpAll(100, 0), null, 'lookUpAll (latitude out of range) should be strictly equal to null');
+    t.equal(getDistanceToBorder(100, 0), null, 'getDistanceToBorder (latitude out of range) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate lookUp across the antimeridian', function(t) {
+    // console.log('lookUp across the antimeridian');
+    const points = [
+        ['FJ', -16.632, 179.89], ['FJ', -16.907, -179.982], ['FJ', -16.8, 180], ['FJ', -16.8, -180],
+        ['RU', 66.0, 175.0], ['RU', 66.0, -172.0], ['RU', 71.2, 180], ['RU', 71.2, -180],
+        ['US', 52.936, 172.573], ['US', 51.857, -176.093],
+        ['KI', 1.341, 173.027], ['KI', 1.839, -157.459]
+    ];
+    points.forEach(([country_a2, lat, lng]) => {
+        t.equal(lookUp(lat, lng).country_a2, country_a2, `result (${lat}, ${lng}).country_a2 should be strictly equal to ${country_a2}`);
+    });
+    const many = lookUpMany(points.map(([country_a2, lat, lng]) => [lat, lng]));
+    t.deepEqual(many.map(result => result.country_a2), points.map(([country_a2]) => country_a2), 'lookUpMany result should be deeply equal to the lookUp results');
+    t.ok(isPointInCountry(-16.8, 180, 'FJ'), 'isPointInCountry(-16.8, 180, FJ) should be true');
+    t.end();
+});
+
+test('Validate lookUp longitudes out of range', function(t) {
+    // console.log('lookUp longitudes out of range');
+    t.equal(lookUp(66.0, -185.0).country_a2, 'RU', 'result (66, -185).country_a2 should be strictly equal to RU');
+    t.equal(lookUp(51.857, 183.907).country_a2, 'US', 'result (51.857, 183.907).country_a2 should be strictly equal to US');
+    t.equal(lookUp(1.839, 202.541).country_a2, 'KI', 'result (1.839, 202.541).country_a2 should be strictly equal to KI');
+    t.equal(parseCoordinates('41.6,200').lng, -160, 'parseCoordinates(41.6,200).lng should be strictly equal to -160');
+    t.end();
+});
+
+test('Validate parseCoordinates', function(t) {
+    const result = parseCoordinates('N 41 39.14 W 4 43.7');
+    // console.log('parseCoordinates', result);
+    t.equal(result.lat.toFixed(4), '41.6523', 'result.lat should be strictly equal to 41.6523');
+    t.equal(result.lng.toFixed(4), '-4.7283', 'result.lng should be strictly equal to -4.7283');
+    t.deepEqual(parseCoordinates('40N3W'), { lat: 40, lng: -3 }, 'parseCoordinates(40N3W) should be parsed as degrees, not as a geohash');
+    t.equal(parseCoordinates('ezksuqsdx').lat.toFixed(4), '41.6524', 'parseCoordinates(ezksuqsdx).lat should be strictly equal to 41.6524');
+    t.end();
+});
+
 test('Validate lookUpGeoJSON (Valladolid, Spain)', function(t) {
     const result = lookUpGeoJSON(41.652349, -4.728602);
     // console.log('lookUpGeoJSON (Valladolid, Spain)', JSON.stringify(result, null, 2));
@@ -88,6 +227,25 @@ test('Validate lookUpGeoJSON (Madrid, Spain)', function(t) {
     t.end();
 });
 
+test('Validate lookUp with names and groupings [es]', function(t) {
+    const result = lookUp(41.652349, -4.728602, { locale: 'es', include: ['groupings'] });
+    // console.log('lookUp with names and groupings [es]', result);
+    t.equal(result.state_code, 'ES-VA', 'result.state_code should be strictly equal to "ES-VA"');
+    t.equal(result.continent_name, 'Europa', 'result.continent_name should be strictly equal to "Europa"');
+    t.equal(result.country_name, 'España', 'result.country_name should be strictly equal to "España"');
+    t.equal(result.state_name, 'Valladolid', 'result.state_name should be strictly equal to "Valladolid"');
+    t.ok(result.country_groupings.includes('EU'), 'result.country_groupings should include "EU"');
+    t.end();
+});
+
+test('Validate lookUpGeoJSON with names', function(t) {
+    const result = lookUpGeoJSON(41.652349, -4.728602, { include: ['names'] });
+    // console.log('lookUpGeoJSON with names', result);
+    t.equal(result.features[0].properties.country_name, 'Spain', 'result.features[0].properties.country_name should be strictly equal to "Spain"');
+    t.equal(result.features[0].properties.country_groupings, undefined, 'result.features[0].properties.country_groupings should be undefined');
+    t.end();
+});
+
 test('Validate lookUpRaw (Valladolid, Spain)', function(t) {
     const result = lookUpRaw(41.652349, -4.728602);
     // console.log('lookUpRaw (Valladolid, Spain)', result);
@@ -112,6 +270,264 @@ test('Validate lookUpRaw (Madrid, Spain)', function(t) {
     t.end();
 });
 
+test('Validate lookUpMany', function(t) {
+    const result = lookUpMany([
+        [41.652349, -4.728602],
+        { lat: 40.4167047, lng: -3.7035825 },
+        [0.0, 0.0],
+        ['foo', 'bar']
+    ]);
+    // console.log('lookUpMany', result);
+    t.equal(result.length, 4, 'result.length should be strictly equal to 4');
+    t.equal(result[0].state_code, 'ES-VA', 'result[0].state_code should be strictly equal to "ES-VA"');
+    t.equal(result[1].state_code, 'ES-M', 'result[1].state_code should be strictly equal to "ES-M"');
+    t.equal(result[2], null, 'result[2] should be strictly equal to null');
+    t.ok(result[3] instanceof Error, 'result[3] should be an instance of Error');
+    t.end();
+});
+
+test('Validate lookUpMany (FeatureCollection, geojson)', function(t) {
+    const result = lookUpMany({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [-4.728602, 41.652349] } },
+            { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [-4.7286, 41.65235] } }
+        ]
+    }, { dataType: 'geojson' });
+    // console.log('lookUpMany (FeatureCollection, geojson)', result);
+    t.equal(result[0].type, 'FeatureCollection', 'result[0].type should be strictly equal to "FeatureCollection"');
+    t.equal(result[0].features[0].properties.state_code, 'ES-VA', 'result[0].features[0].properties.state_code should be strictly equal to "ES-VA"');
+    t.deepEqual(result[1], result[0], 'result[1] should be deeply equal to result[0]');
+    t.notEqual(result[1], result[0], 'result[1] should not be the same object as result[0]');
+    result[0].features[0].geometry.coordinates = [];
+    t.ok(result[1].features[0].geometry.coordinates.length > 0, 'result[1] should not be modified with result[0]');
+    t.end();
+});
+
+test('Validate lookUpAll (Valladolid, Spain)', function(t) {
+    const result = lookUpAll(41.652349, -4.728602);
+    // console.log('lookUpAll (Valladolid, Spain)', result);
+    t.ok(result.length >= 1, 'result.length should be greater than or equal to 1');
+    t.deepEqual(result[0], lookUp(41.652349, -4.728602), 'result[0] should be deeply equal to the lookUp result');
+    t.end();
+});
+
+test('Validate lookUpAll empty (water)', function(t) {
+    const result = lookUpAll(0.0, 0.0);
+    // console.log('lookUpAll empty (water)', result);
+    t.equal(result.length, 0, 'result.length should be strictly equal to 0');
+    t.end();
+});
+
+test('Validate traceLineString (Irun, Spain - Hendaye, France)', function(t) {
+    const result = traceLineString({ type: 'LineString', coordinates: [[-1.8, 43.35], [-1.7, 43.38]] });
+    // console.log('traceLineString (Irun, Spain - Hendaye, France)', result);
+    t.equal(result.length, 2, 'result.length should be strictly equal to 2');
+    t.equal(result[0].country_a2, 'ES', 'result[0].country_a2 should be strictly equal to "ES"');
+    t.equal(result[1].country_a2, 'FR', 'result[1].country_a2 should be strictly equal to "FR"');
+    t.deepEqual(result[0].entry, [-1.8, 43.35], 'result[0].entry should be deeply equal to the start of the line');
+    t.deepEqual(result[0].exit, result[1].entry, 'result[0].exit should be deeply equal to result[1].entry');
+    t.deepEqual(result[1].exit, [-1.7, 43.38], 'result[1].exit should be deeply equal to the end of the line');
+    t.ok(result[0].distance_km > 0 && result[1].distance_km > 0, 'result distances should be greater than 0');
+    t.end();
+});
+
+test('Validate traceLineString wrong line', function(t) {
+    const result = traceLineString([[-1.8, 43.35]]);
+    // console.log('traceLineString wrong line', result);
+    t.equal(result, null, 'result should be strictly equal to null');
+    t.throws(() => traceLineString([[-1.8, 43.35]], { strict: true }), InvalidCoordinatesError, 'traceLineString should throw InvalidCoordinatesError in strict mode');
+    t.end();
+});
+
+test('Validate getDistanceToBorder (Hendaye, France)', function(t) {
+    const result = getDistanceToBorder(43.358, -1.775, { level: 'country' });
+    // console.log('getDistanceToBorder (Hendaye, France)', result);
+    t.equal(result.country_a2, 'FR', 'result.country_a2 should be strictly equal to "FR"');
+    t.equal(result.region_code, undefined, 'result.region_code should be strictly equal to undefined');
+    t.ok(result.distance_m > 1700 && result.distance_m < 1900, 'result.distance_m should be between 1700 and 1900');
+    t.equal(result.coordinate.length, 2, 'result.coordinate should be a [lng, lat] position');
+    t.equal(result.neighbour.country_a2, 'ES', 'result.neighbour.country_a2 should be strictly equal to "ES"');
+    t.end();
+});
+
+test('Validate getDistanceToBorder state (Valladolid, Spain)', function(t) {
+    const result = getDistanceToBorder(41.652349, -4.728602);
+    // console.log('getDistanceToBorder state (Valladolid, Spain)', result);
+    t.ok(result.distance_m > 0, 'result.distance_m should be greater than 0');
+    t.ok(result.neighbour, 'result.neighbour should be truthy (inland state)');
+    t.notEqual(result.neighbour.state_code, result.state_code, 'result.neighbour.state_code should not be equal to result.state_code');
+    t.end();
+});
+
+test('Validate getDistanceToBorder coastline and water', function(t) {
+    const result = getDistanceToBorder(39.47, -0.38, { level: 'region' });
+    // console.log('getDistanceToBorder coastline and water', result);
+    t.equal(result.region_code, 'ES-VC', 'result.region_code should be strictly equal to "ES-VC"');
+    t.equal(result.neighbour, null, 'result.neighbour (coastline) should be strictly equal to null');
+    t.equal(getDistanceToBorder(0.0, 0.0), null, 'result (water) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate getPlacesIntersecting (Irun, Spain - Hendaye, France)', function(t) {
+    const result = getPlacesIntersecting([-1.8, 43.3, -1.7, 43.4], { level: 'country', include: ['area', 'geometry'] });
+    // console.log('getPlacesIntersecting (Irun, Spain - Hendaye, France)', result);
+    t.deepEqual(result.map(item => item.country_a2), ['ES', 'FR'], 'result country codes should be deeply equal to ["ES", "FR"]');
+    t.ok(result.every(item => item.area_km2 > 0 && item.area_km2 < 100), 'result area_km2 should be between 0 and 100');
+    t.ok(result.every(item => ['Polygon', 'MultiPolygon'].includes(item.geometry.type)), 'result geometry should be a Polygon or a MultiPolygon');
+    const states = getPlacesIntersecting([-1.8, 43.3, -1.7, 43.4], { include: ['area'] });
+    const sum = (items) => items.reduce((total, item) => total + item.area_km2, 0);
+    t.ok(Math.abs(sum(states) - sum(result)) < 0.1, 'the area of the states should be equal to the area of the countries');
+    const regions = getPlacesIntersecting({ type: 'Polygon', coordinates: [[[-1.8, 43.3], [-1.7, 43.3], [-1.7, 43.4], [-1.8, 43.4], [-1.8, 43.3]]] }, { level: 'region' });
+    t.deepEqual(regions.map(item => item.region_code), ['ES-PV', 'FR-PA'], 'regions codes should be deeply equal to ["ES-PV", "FR-PA"]');
+    t.end();
+});
+
+test('Validate getPlacesIntersecting antimeridian, water and wrong area', function(t) {
+    const result = getPlacesIntersecting([178, -18, -178, -16], { level: 'country' });
+    // console.log('getPlacesIntersecting antimeridian, water and wrong area', result);
+    t.deepEqual(result.map(item => item.country_a2), ['FJ'], 'result country codes should be deeply equal to ["FJ"]');
+    t.deepEqual(getPlacesIntersecting([0, 0, 1, 1]), [], 'result (water) should be deeply equal to []');
+    t.equal(getPlacesIntersecting('foo'), null, 'result (wrong area) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate getPlacesWithinRadius (Hendaye, France)', function(t) {
+    const result = getPlacesWithinRadius(43.358, -1.775, 5, { level: 'country', locale: 'es' });
+    // console.log('getPlacesWithinRadius (Hendaye, France)', result);
+    t.deepEqual(result.map(item => item.country_a2), ['FR', 'ES'], 'result country codes should be deeply equal to ["FR", "ES"]');
+    t.equal(result[0].distance_km, 0, 'result[0].distance_km should be strictly equal to 0');
+    t.ok(result[1].distance_km > 1.7 && result[1].distance_km < 1.9, 'result[1].distance_km should be between 1.7 and 1.9');
+    t.equal(result[1].country_name, 'España', 'result[1].country_name should be strictly equal to "España"');
+    t.end();
+});
+
+test('Validate getPlacesWithinRadius coordinates formats (Hendaye, France)', function(t) {
+    const result = getPlacesWithinRadius(43.358, -1.775, 5, { level: 'country' });
+    t.deepEqual(getPlacesWithinRadius('43.358,-1.775', 5, { level: 'country' }), result, 'result (decimal string) should be deeply equal to the result of the numbers');
+    t.deepEqual(getPlacesWithinRadius({ type: 'Point', coordinates: [-1.775, 43.358] }, 5, { level: 'country' }), result, 'result (GeoJSON Point) should be deeply equal to the result of the numbers');
+    t.deepEqual(getPlacesWithinRadius('43.358N 1.775W', 5, { level: 'country' }), result, 'result (DMS) should be deeply equal to the result of the numbers');
+    t.equal(getPlacesWithinRadius('foo', 5), null, 'result (wrong coordinates) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate getPlacesWithinRadius water and wrong radius', function(t) {
+    t.deepEqual(getPlacesWithinRadius(0.0, 0.0, 10), [], 'result (water) should be deeply equal to []');
+    t.equal(getPlacesWithinRadius(0.0, 0.0, -1), null, 'result (negative radius) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate annotateFeatureCollection', function(t) {
+    const fc = {
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: { name: 'Store' }, geometry: { type: 'Point', coordinates: [-4.728602, 41.652349] } },
+            { type: 'Feature', properties: { name: 'Sea' }, geometry: { type: 'Point', coordinates: [0.0, 0.0] } },
+            { type: 'Feature', properties: { name: 'Zone' }, geometry: { type: 'Polygon', coordinates: [[[-4.8, 41.6], [-4.6, 41.6], [-4.6, 41.7], [-4.8, 41.7], [-4.8, 41.6]]] } }
+        ]
+    };
+    const result = annotateFeatureCollection(fc, { locale: 'es', prefix: 'geo_' });
+    // console.log('annotateFeatureCollection', result);
+    t.equal(result.type, 'FeatureCollection', 'result.type should be strictly equal to "FeatureCollection"');
+    t.equal(result.features[0].properties.name, 'Store', 'result.features[0].properties.name should be strictly equal to "Store"');
+    t.equal(result.features[0].properties.geo_country_a2, 'ES', 'result.features[0].properties.geo_country_a2 should be strictly equal to "ES"');
+    t.equal(result.features[0].properties.geo_country_name, 'España', 'result.features[0].properties.geo_country_name should be strictly equal to "España"');
+    t.equal(result.features[1].properties.geo_country_a2, null, 'result.features[1].properties.geo_country_a2 should be strictly equal to null');
+    t.equal(result.features[2].properties.geo_region_code, 'ES-CL', 'result.features[2].properties.geo_region_code (centroid) should be strictly equal to "ES-CL"');
+    t.equal(fc.features[0].properties.geo_country_a2, undefined, 'the original features should not be modified');
+    t.end();
+});
+
+test('Validate annotateFeatureCollection intersecting', function(t) {
+    const fc = {
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: { name: 'Route' }, geometry: { type: 'LineString', coordinates: [[-1.8, 43.35], [-1.7, 43.38]] } }
+        ]
+    };
+    const result = annotateFeatureCollection(fc, { fields: ['country_a2'], geometryMode: 'intersecting' });
+    // console.log('annotateFeatureCollection intersecting', result);
+    t.deepEqual(result.features[0].properties.country_a2, ['ES', 'FR'], 'result.features[0].properties.country_a2 should be deeply equal to ["ES", "FR"]');
+    t.end();
+});
+
+test('Validate aggregatePoints', function(t) {
+    const points = {
+        type: 'FeatureCollection',
+        features: [[-4.728602, 41.652349, 10], [-3.703790, 40.416775, 5], [2.352222, 48.856613, 7], [0.0, 0.0, 1]].map(([lng, lat, sales]) => ({
+            type: 'Feature',
+            properties: { sales },
+            geometry: { type: 'Point', coordinates: [lng, lat] }
+        }))
+    };
+    const result = aggregatePoints(points, { valueField: 'sales' });
+    // console.log('aggregatePoints', result);
+    t.equal(result.type, 'FeatureCollection', 'result.type should be strictly equal to "FeatureCollection"');
+    t.deepEqual(result.features.map(feature => feature.properties.country_a2), ['ES', 'FR'], 'result country codes should be deeply equal to ["ES", "FR"]');
+    t.equal(result.features[0].properties.count, 2, 'result.features[0].properties.count should be strictly equal to 2');
+    t.equal(result.features[0].properties.value, 15, 'result.features[0].properties.value should be strictly equal to 15');
+    t.equal(result.features[0].geometry.type, 'MultiPolygon', 'result.features[0].geometry.type should be strictly equal to "MultiPolygon"');
+    const continents = aggregatePoints(points, { level: 'continent', simplified: true, valueField: 'sales', reducer: 'max' });
+    t.equal(continents.features.length, 1, 'continents.features.length should be strictly equal to 1');
+    t.equal(continents.features[0].properties.continent_code, 'EU', 'continents.features[0].properties.continent_code should be strictly equal to "EU"');
+    t.equal(continents.features[0].properties.value, 10, 'continents.features[0].properties.value should be strictly equal to 10');
+    t.end();
+});
+
+test('Validate randomPointsIn (Spain, Castilla y León)', function(t) {
+    const result = randomPointsIn('ES', 'country', 20, { seed: 42 });
+    // console.log('randomPointsIn (Spain)', result);
+    t.equal(result.length, 20, 'result.length should be strictly equal to 20');
+    t.ok(result.every(point => lookUp(point[1], point[0]).country_a2 === 'ES'), 'every point should be in ES');
+    t.deepEqual(randomPointsIn('ES', 'country', 20, { seed: 42 }), result, 'result (same seed) should be deeply equal to result');
+    const geojson = randomPointsIn('ES-CL', 'region', 5, { seed: 'test', format: 'geojson' });
+    t.equal(geojson.type, 'FeatureCollection', 'geojson.type should be strictly equal to "FeatureCollection"');
+    t.ok(geojson.features.every(feature => feature.properties.region_code === 'ES-CL'), 'every feature should be in ES-CL');
+    t.ok(randomPointsIn('RU', 'country', 50, { seed: 1 }).every(point => lookUp(point[1], point[0]).country_a2 === 'RU'), 'every point should be in RU');
+    t.equal(randomPointsIn('XX', 'country', 1), null, 'result (unknown code) should be strictly equal to null');
+    t.equal(randomPointsIn('ES', 'city', 1), null, 'result (unknown level) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate getTile (Madrid)', function(t) {
+    const result = getTile(6, 31, 24);
+    // console.log('getTile (Madrid)', result);
+    t.ok(Buffer.isBuffer(result), 'result should be a Buffer');
+    t.ok(['continents', 'countries', 'regions', 'states'].every(layer => result.includes(layer)), 'result should have the layers continents, countries, regions and states');
+    t.ok(result.includes('ES-MD'), 'result should include ES-MD');
+    t.ok(Buffer.isBuffer(getTile(0, 0, 0)), 'result (0/0/0) should be a Buffer');
+    t.equal(getTile(6, 0, 0), null, 'result (empty tile) should be strictly equal to null');
+    t.equal(getTile(2, 4, 0), null, 'result (wrong tile) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate isPointIn* (Valladolid, Spain)', function(t) {
+    // console.log('isPointIn* (Valladolid, Spain)');
+    t.equal(isPointInContinent(41.652349, -4.728602, 'EU'), true, 'isPointInContinent EU should be strictly equal to true');
+    t.equal(isPointInContinent(41.652349, -4.728602, 'AF'), false, 'isPointInContinent AF should be strictly equal to false');
+    t.equal(isPointInCountryGrouping(41.652349, -4.728602, 'EU'), true, 'isPointInCountryGrouping EU should be strictly equal to true');
+    t.equal(isPointInCountryGrouping(41.652349, -4.728602, 'DACH'), false, 'isPointInCountryGrouping DACH should be strictly equal to false');
+    t.equal(isPointInCountry(41.652349, -4.728602, 'ES'), true, 'isPointInCountry ES should be strictly equal to true');
+    t.equal(isPointInCountry(41.652349, -4.728602, 'FR'), false, 'isPointInCountry FR should be strictly equal to false');
+    t.equal(isPointInRegion(41.652349, -4.728602, 'ES-CL'), true, 'isPointInRegion ES-CL should be strictly equal to true');
+    t.equal(isPointInRegion(41.652349, -4.728602, 'ES-MD'), false, 'isPointInRegion ES-MD should be strictly equal to false');
+    t.equal(isPointInState(41.652349, -4.728602, 'ES-VA'), true, 'isPointInState ES-VA should be strictly equal to true');
+    t.equal(isPointInState(41.652349, -4.728602, 'ES-M'), false, 'isPointInState ES-M should be strictly equal to false');
+    t.end();
+});
+
+test('Validate isPointIn* return false (unknown code, water)', function(t) {
+    // console.log('isPointIn* return false (unknown code, water)');
+    t.equal(isPointInCountryGrouping(41.652349, -4.728602, 'XXXX'), false, 'isPointInCountryGrouping XXXX should be strictly equal to false');
+    t.equal(isPointInCountry(0.0, 0.0, 'ES'), false, 'isPointInCountry (water) should be strictly equal to false');
+    t.equal(isPointInCountry(41.652349, -4.728602, 'XX'), false, 'isPointInCountry XX should be strictly equal to false');
+    t.equal(isPointInState(41.652349, -4.728602, 'XX-XX'), false, 'isPointInState XX-XX should be strictly equal to false');
+    t.throws(() => isPointInContinent(41.652349, -4.728602, 'XX', { strict: true }), UnknownCodeError, 'isPointInContinent XX should throw UnknownCodeError in strict mode');
+    t.throws(() => isPointInRegion(41.652349, -4.728602, 'XX-XX', { strict: true }), UnknownCodeError, 'isPointInRegion XX-XX should throw UnknownCodeError in strict mode');
+    t.equal(isPointInCountry(41.652349, -4.728602, 'ES', { strict: true }), true, 'isPointInCountry ES (strict) should be strictly equal to true');
+    t.end();
+});
+
 test('Validate getContinentGeoJSONByCode (Europe)', function(t) {
     const result = getContinentGeoJSONByCode('EU');
     // console.log('getContinentGeoJSONByCode (Europe)', result);
@@ -168,6 +584,138 @@ test('Validate getStateGeoJSONByCode (Valladolid)', function(t) {
     t.end();
 });
 
+test('Validate the TopoJSON format of the geometry getters (Spain, Castilla y León)', function(t) {
+    const result = getCountryGeoJSONByAlpha2('ES', { format: 'topojson' });
+    // console.log('getCountryGeoJSONByAlpha2 (Spain) [topojson]', result);
+    t.equal(result.type, 'Topology', 'result.type should be strictly equal to "Topology"');
+    t.equal(result.objects.ES.type, 'MultiPolygon', 'result.objects.ES.type should be strictly equal to "MultiPolygon"');
+    t.deepEqual(result.objects.ES.properties, { country_a2: 'ES', country_a3: 'ESP' }, 'result.objects.ES.properties should be deeply equal to { country_a2: "ES", country_a3: "ESP" }');
+    t.equal(result.transform, undefined, 'result.transform should be strictly equal to undefined');
+    const quantized = getRegionGeoJSONByCode('ES-CL', { format: 'topojson', quantization: 1e5 });
+    t.ok(quantized.transform && quantized.objects['ES-CL'], 'quantized should have a transform and the object ES-CL');
+    t.equal(getStateGeoJSONByCode('ES-VA', { format: 'topojson' }).type, 'Topology', 'result (Valladolid) should be a Topology');
+    t.equal(getCountryGeoJSONByAlpha2('ES', { format: 'svg' }), null, 'result (unknown format) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate the WKT, WKB, KML and CSV formats of the geometry getters (Andorra, Spain)', function(t) {
+    const wkt = getCountryGeoJSONByAlpha2('AD', { format: 'wkt' });
+    // console.log('getCountryGeoJSONByAlpha2 (Andorra) [wkt]', wkt);
+    t.ok(/^(MULTI)?POLYGON \(\(/.test(wkt), 'wkt should start with POLYGON or MULTIPOLYGON');
+    const wkb = getCountryGeoJSONByAlpha2('AD', { format: 'wkb' });
+    t.ok(Buffer.isBuffer(wkb), 'wkb should be a Buffer');
+    t.equal(wkb.readUInt8(0), 1, 'wkb byte order should be strictly equal to 1 (little endian)');
+    t.equal(getCountryGeoJSONByAlpha2('AD', { format: 'wkb', encoding: 'hex' }), wkb.toString('hex'), 'wkb (hex) should be strictly equal to the hexadecimal wkb');
+    const kml = getCountryGeoJSONByAlpha2('ES', { format: 'kml', locale: 'es' });
+    t.ok(kml.includes('<name>España</name>'), 'kml should include <name>España</name>');
+    const csv = getRegionGeoJSONByCode('ES-CL', { format: 'csv' }).split('\r\n');
+    t.equal(csv[0], 'country_a2,region_code,wkt', 'csv[0] should be strictly equal to "country_a2,region_code,wkt"');
+    t.ok(csv[1].startsWith('ES,ES-CL,"MULTIPOLYGON ((('), 'csv[1] should start with the properties and the WKT');
+    const lookUpCSV = lookUpGeoJSON(40.4168, -3.7038, { format: 'csv', locale: 'es' });
+    t.ok(lookUpCSV.includes('España'), 'lookUpGeoJSON csv should include España');
+    t.ok(Buffer.isBuffer(lookUpGeoJSON(40.4168, -3.7038, { format: 'wkb' })), 'lookUpGeoJSON wkb should be a Buffer');
+    t.end();
+});
+
+test('Validate the tolerance, precision and preserveTopology options of the geometry getters (Spain, Castilla y León)', function(t) {
+    const full = getCountryGeoJSONByAlpha2('ES');
+    const result = getCountryGeoJSONByAlpha2('ES', { tolerance: 0.05 });
+    // console.log('getCountryGeoJSONByAlpha2 (Spain) [tolerance]', result);
+    const count = (geojson) => JSON.stringify(geojson.geometry.coordinates).split('],[').length;
+    t.ok(count(result) < count(full), 'result should have less positions than the full geometry');
+    t.deepEqual(result.properties, full.properties, 'result.properties should be deeply equal to full.properties');
+    result.geometry.coordinates = [];
+    t.ok(getCountryGeoJSONByAlpha2('ES', { tolerance: 0.05 }).geometry.coordinates.length > 0, 'the cached result should not be modified');
+    const rounded = getRegionGeoJSONByCode('ES-CL', { tolerance: 0.05, precision: 2, preserveTopology: true });
+    t.equal(rounded.geometry.type, 'MultiPolygon', 'rounded.geometry.type should be strictly equal to "MultiPolygon"');
+    t.ok(rounded.geometry.coordinates[0][0].every(p => p.every(value => Math.round(value * 100) / 100 === value)), 'rounded coordinates should have 2 decimals');
+    t.ok(rounded.geometry.coordinates.every(rings => rings.every(ring => ring.length >= 4)), 'every rounded ring should have at least 4 positions');
+    const lookUpResult = lookUpGeoJSON(40.4168, -3.7038, { precision: 1 });
+    t.ok(lookUpResult.features[0].geometry.coordinates[0][0].every(p => p.every(value => Math.round(value * 10) / 10 === value)), 'lookUpGeoJSON coordinates should have 1 decimal');
+    t.equal(getCountryGeoJSONByAlpha2('ES', { tolerance: -1 }), null, 'result (wrong tolerance) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate the resolution option of the geometry getters (Spain)', function(t) {
+    const full = getCountryGeoJSONByAlpha2('ES');
+    const result = getCountryGeoJSONByAlpha2('ES', { resolution: '110m' });
+    // console.log('getCountryGeoJSONByAlpha2 (Spain) [110m]', result);
+    const count = (geojson) => JSON.stringify(geojson.geometry.coordinates).split('],[').length;
+    t.ok(count(result) < count(full), 'result should have less positions than the full geometry');
+    const region = getRegionGeoJSONByCode('ES-CL', { resolution: '50m' });
+    t.ok(count(region) < count(getRegionGeoJSONByCode('ES-CL')), 'region should have less positions than the full geometry');
+    t.deepEqual(result.properties, full.properties, 'result.properties should be deeply equal to full.properties');
+    t.deepEqual(getCountryGeoJSONByAlpha2('ES', { resolution: 'full' }), full, 'result (full resolution) should be deeply equal to full');
+    const state = getStateGeoJSONByCode('ES-M', { resolution: '110m' });
+    t.ok(count(state) < count(getStateGeoJSONByCode('ES-M')), 'state should have less positions than the full geometry');
+    const lookUpResult = lookUpGeoJSON(40.4168, -3.7038, { resolution: '110m' });
+    t.deepEqual(lookUpResult.features[0].geometry, state.geometry, 'lookUpGeoJSON geometry should be deeply equal to state.geometry');
+    t.equal(getCountryGeoJSONByAlpha2('ES', { resolution: '5m' }), null, 'result (wrong resolution) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate getBoundingBox, getCentroid and getLabelPoint (Spain)', function(t) {
+    const bbox = getBoundingBox('ES');
+    const centroid = getCentroid('ES');
+    const labelPoint = getLabelPoint('ES');
+    // console.log('getBoundingBox, getCentroid and getLabelPoint (Spain)', bbox, centroid, labelPoint);
+    t.deepEqual(bbox, [-18.16723, 27.64224, 4.33709, 43.79344], 'bbox should be deeply equal to [-18.16723, 27.64224, 4.33709, 43.79344]');
+    t.ok(centroid[0] > bbox[0] && centroid[0] < bbox[2] && centroid[1] > bbox[1] && centroid[1] < bbox[3], 'centroid should be inside the bbox');
+    t.ok(isPointInCountry(labelPoint[1], labelPoint[0], 'ES'), 'labelPoint should be inside Spain');
+    const regionLabelPoint = getLabelPoint('ES-CL', 'region');
+    t.ok(isPointInRegion(regionLabelPoint[1], regionLabelPoint[0], 'ES-CL'), 'ES-CL labelPoint should be inside ES-CL');
+    t.end();
+});
+
+test('Validate getBoundingBox across the antimeridian and unknown code', function(t) {
+    const bbox = getBoundingBox('FJ');
+    // console.log('getBoundingBox across the antimeridian and unknown code', bbox);
+    t.ok(bbox[0] > bbox[2], 'bbox minX should be greater than maxX');
+    t.equal(getBoundingBox('XX'), null, 'result (unknown code) should be strictly equal to null');
+    t.equal(getCentroid('ES', 'planet'), null, 'result (unknown level) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate getMetrics (Spain, Andorra)', function(t) {
+    const result = getMetrics('ES');
+    // console.log('getMetrics (Spain, Andorra)', result);
+    t.ok(result.area_km2 > 500000 && result.area_km2 < 510000, 'result.area_km2 should be between 500000 and 510000');
+    t.ok(result.perimeter_km > result.coastline_km, 'result.perimeter_km should be greater than result.coastline_km');
+    t.ok(result.coastline_km > 4000, 'result.coastline_km should be greater than 4000');
+    t.deepEqual(result.bbox, getBoundingBox('ES'), 'result.bbox should be deeply equal to getBoundingBox');
+    t.equal(getMetrics('AD').coastline_km, 0, 'Andorra coastline_km should be strictly equal to 0');
+    const state = getMetrics('ES-VA', 'state');
+    t.ok(state.area_km2 > 8000 && state.area_km2 < 8300, 'ES-VA area_km2 should be between 8000 and 8300');
+    t.equal(state.coastline_km, 0, 'ES-VA coastline_km should be strictly equal to 0');
+    t.equal(getMetrics('XX'), null, 'result (unknown code) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate getNeighbouringCountries (Spain) [es]', function(t) {
+    const result = getNeighbouringCountries('ES', 'es');
+    // console.log('getNeighbouringCountries (Spain) [es]', result);
+    const codes = result.map(item => item.country_a2);
+    t.ok(['FR', 'PT', 'AD'].every(code => codes.includes(code)), 'result should include FR, PT and AD');
+    t.ok(result.every(item => item.border_km > 0), 'every border_km should be greater than 0');
+    t.ok(result.every((item, i) => i === 0 || result[i - 1].border_km >= item.border_km), 'result should be sorted by border_km');
+    t.equal(result.find(item => item.country_a2 === 'FR').country_name, 'Francia', 'FR country_name should be strictly equal to "Francia"');
+    t.deepEqual(getNeighbouringCountries('IS'), [], 'result (Iceland) should be deeply equal to []');
+    t.equal(getNeighbouringCountries('XX'), null, 'result (unknown code) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate getNeighbouringRegions and getNeighbouringStates (Castilla y León)', function(t) {
+    const regions = getNeighbouringRegions('ES-CL');
+    // console.log('getNeighbouringRegions (Castilla y León)', regions);
+    t.ok(regions.some(item => item.region_code === 'ES-GA'), 'regions should include ES-GA');
+    t.ok(regions.some(item => item.country_a2 === 'PT'), 'regions should include a region of Portugal');
+    const states = getNeighbouringStates('ES-LE');
+    // console.log('getNeighbouringStates (León)', states);
+    t.ok(states.some(item => item.state_code === 'ES-AS'), 'states should include ES-AS');
+    t.equal(getNeighbouringStates('ES-XX'), null, 'result (unknown code) should be strictly equal to null');
+    t.end();
+});
+
 test('Validate getContinents [fr]', function(t) {
     const result = getContinents('fr');
     // console.log('getContinents [fr]', result);
@@ -424,3 +972,44 @@ test('Validate isValidStateCode return false', function(t) {
     t.equal(result, false, 'result should be strictly equal to false');
     t.end();
 });
+
+test('Validate lenient mode returns null', function(t) {
+    // console.log('lenient mode returns null');
+    t.equal(getContinentByCode('XX'), null, 'getContinentByCode should be strictly equal to null');
+    t.equal(getCountryByAlpha2('XX'), null, 'getCountryByAlpha2 should be strictly equal to null');
+    t.equal(getCountryByAlpha3('XXX'), null, 'getCountryByAlpha3 should be strictly equal to null');
+    t.equal(getCountriesByContinentCode('XX'), null, 'getCountriesByContinentCode should be strictly equal to null');
+    t.equal(getRegionsByCountryAlpha2('XX'), null, 'getRegionsByCountryAlpha2 should be strictly equal to null');
+    t.equal(getRegionByCode('XX-XX'), null, 'getRegionByCode should be strictly equal to null');
+    t.equal(getStatesByRegionCode('XX-XX'), null, 'getStatesByRegionCode should be strictly equal to null');
+    t.equal(getStateByCode('XX-XX'), null, 'getStateByCode should be strictly equal to null');
+    t.equal(getCountryGeoJSONByAlpha2('XX'), null, 'getCountryGeoJSONByAlpha2 should be strictly equal to null');
+    t.equal(lookUp(100, 0), null, 'lookUp (wrong coordinates) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate strict mode throws typed errors', function(t) {
+    // console.log('strict mode throws typed errors');
+    t.throws(() => lookUp(100, 0, { strict: true }), InvalidCoordinatesError, 'lookUp should throw InvalidCoordinatesError');
+    t.throws(() => getCountryByAlpha2('XX', null, { strict: true }), UnknownCodeError, 'getCountryByAlpha2 should throw UnknownCodeError');
+    t.throws(() => getRegionGeoJSONByCode('XX-XX', { strict: true }), UnknownCodeError, 'getRegionGeoJSONByCode should throw UnknownCodeError');
+    try {
+        getStateByCode('XX-XX', null, { strict: true });
+    } catch(e) {
+        t.equal(e.kind, 'state', 'e.kind should be strictly equal to "state"');
+        t.equal(e.value, 'XX-XX', 'e.value should be strictly equal to "XX-XX"');
+        t.ok(e instanceof GeojsonPlacesError, 'e should be an instance of GeojsonPlacesError');
+    }
+    t.equal(lookUp(0.0, 0.0, { strict: true }), null, 'lookUp (water) should be strictly equal to null');
+    t.end();
+});
+
+test('Validate configure strict mode', function(t) {
+    // console.log('configure strict mode');
+    configure({ strict: true });
+    t.throws(() => getCountryByAlpha2('XX'), UnknownCodeError, 'getCountryByAlpha2 should throw UnknownCodeError');
+    t.equal(getCountryByAlpha2('XX', null, { strict: false }), null, 'getCountryByAlpha2 with strict: false should be strictly equal to null');
+    configure({ strict: false });
+    t.equal(getCountryByAlpha2('XX'), null, 'getCountryByAlpha2 should be strictly equal to null');
+    t.end();
+});